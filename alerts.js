@@ -0,0 +1,121 @@
+// Low-stock alerts for supply items. evaluateStockAlerts() compares each item's on-hand
+// quantity (the stock ledger, see stock.js) with its reorder_level: an item at or below
+// its level gets an open alert, and the alert is cleared once stock is back above it (or
+// the item loses its reorder level). Alerts also report the item's average daily
+// consumption over the last CONSUMPTION_WINDOW_DAYS, mostly BOM-driven (see bom.js), and
+// how many days the stock on hand will last at that rate.
+//
+// alertEvents emits "raised" and "cleared" with the alert row. When
+// STOCK_ALERT_WEBHOOK_URL is set, both are also POSTed there as { event, alert }.
+const EventEmitter = require("events");
+
+const CONSUMPTION_WINDOW_DAYS = 30;
+
+const alertEvents = new EventEmitter();
+
+// On-hand stock, reorder settings and recent consumption of the merchant's supply items
+async function supplyStockLevels(db, mid) {
+  const result = await db.query(
+    `SELECT s.id AS supply_id, s.name, s.unit, s.vendor, s.reorder_level, s.reorder_quantity,
+      s.deleted_at IS NOT NULL AS deleted,
+      COALESCE(SUM(m.quantity), 0) AS on_hand,
+      ROUND(COALESCE(-SUM(m.quantity) FILTER (
+        WHERE m.movement_type = 'consumption' AND m.movement_date > CURRENT_DATE - $2::integer
+      ), 0) / $2, 3) AS daily_consumption
+    FROM supply s
+    LEFT JOIN stock_movements m ON m.mid = s.mid AND m.item_type = 'supply' AND m.item_id = s.id
+    WHERE s.mid = $1
+    GROUP BY s.id, s.mid`,
+    [mid, CONSUMPTION_WINDOW_DAYS]
+  );
+  return result.rows;
+}
+
+function alertLevel(item) {
+  if (item.deleted || item.reorder_level === null) {
+    return null;
+  }
+  if (Number(item.on_hand) <= 0) {
+    return "out_of_stock";
+  }
+  return Number(item.on_hand) <= Number(item.reorder_level) ? "low_stock" : null;
+}
+
+// Raise and clear the merchant's alerts to match current stock; returns what changed
+async function evaluateStockAlerts(db, mid) {
+  const items = await supplyStockLevels(db, mid);
+  const open = await db.query("SELECT * FROM stock_alerts WHERE mid = $1 AND cleared_at IS NULL", [mid]);
+  const openBySupply = new Map(open.rows.map((alert) => [alert.supply_id, alert]));
+
+  const raised = [];
+  const cleared = [];
+  for (const item of items) {
+    const level = alertLevel(item);
+    const current = openBySupply.get(item.supply_id);
+    if (level && !current) {
+      const result = await db.query(
+        `INSERT INTO stock_alerts (mid, supply_id, level, on_hand, reorder_level)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (mid, supply_id) WHERE cleared_at IS NULL DO NOTHING
+        RETURNING *`,
+        [mid, item.supply_id, level, item.on_hand, item.reorder_level]
+      );
+      raised.push(...result.rows);
+    } else if (level && current.level !== level) {
+      // Still open, but it went from low to out of stock or back
+      await db.query("UPDATE stock_alerts SET level = $1, on_hand = $2 WHERE id = $3", [level, item.on_hand, current.id]);
+    } else if (!level && current) {
+      const result = await db.query(
+        "UPDATE stock_alerts SET cleared_at = CURRENT_TIMESTAMP, on_hand = $1 WHERE id = $2 AND cleared_at IS NULL RETURNING *",
+        [item.on_hand, current.id]
+      );
+      cleared.push(...result.rows);
+    }
+  }
+
+  raised.forEach((alert) => alertEvents.emit("raised", alert));
+  cleared.forEach((alert) => alertEvents.emit("cleared", alert));
+  return { raised, cleared };
+}
+
+// Open (or, with includeCleared, all) alerts with the item's current figures
+async function listStockAlerts(db, mid, { includeCleared = false } = {}) {
+  const items = new Map((await supplyStockLevels(db, mid)).map((item) => [item.supply_id, item]));
+  const result = await db.query(
+    `SELECT a.* FROM stock_alerts a
+    WHERE a.mid = $1 ${includeCleared ? "" : "AND a.cleared_at IS NULL"}
+    ORDER BY a.raised_at DESC, a.id DESC`,
+    [mid]
+  );
+  return result.rows.map((alert) => {
+    const item = items.get(alert.supply_id);
+    const daily = Number(item.daily_consumption);
+    return {
+      ...alert,
+      name: item.name,
+      unit: item.unit,
+      vendor: item.vendor,
+      reorder_quantity: item.reorder_quantity,
+      current_on_hand: item.on_hand,
+      daily_consumption: item.daily_consumption,
+      days_remaining: daily > 0 ? Math.max(0, Math.floor(Number(item.on_hand) / daily)) : null,
+    };
+  });
+}
+
+function postToWebhook(event, alert) {
+  const url = process.env.STOCK_ALERT_WEBHOOK_URL;
+  if (!url) {
+    return;
+  }
+  fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ event, alert }),
+  }).catch((err) => console.error(`Error posting stock alert ${event} to webhook:`, err.message));
+}
+
+alertEvents.on("raised", (alert) => postToWebhook("raised", alert));
+alertEvents.on("cleared", (alert) => postToWebhook("cleared", alert));
+
+module.exports = { alertEvents, evaluateStockAlerts, listStockAlerts };
@@ -0,0 +1,138 @@
+// Batches (lots) of perishable stock. A production output line, a goods receipt line or a
+// manual receipt that carries batchNumber and/or expiryDate (and optionally
+// manufactureDate, which defaults to the movement's date) posts its quantity into that
+// batch; a batch number defaults to the manufacture date, the usual lot for a day's
+// bake. A batch's remaining quantity is the sum of the movements carrying its id.
+//
+// Sales and production consumption are drawn from an item's batches first-expiry-first-
+// out: batches still in date on the movement's date, earliest expiry first, each up to
+// what it has left. Whatever the batches cannot cover is posted without a batch.
+const { ValidationError } = require("./validation");
+
+// Outgoing movements that are allocated to batches
+const FEFO_MOVEMENT_TYPES = ["sale", "consumption"];
+
+const DEFAULT_EXPIRY_WINDOW_DAYS = 7;
+
+// { number, manufacturedOn, expiresOn } from a line's batch fields, or null without them
+function lineBatch(line, field = "") {
+  if ((line.batchNumber === undefined || line.batchNumber === "") && !line.expiryDate) {
+    return null;
+  }
+  if (line.manufactureDate && line.expiryDate && line.expiryDate < line.manufactureDate) {
+    throw new ValidationError([{ field: `${field}expiryDate`, message: "is before manufactureDate" }]);
+  }
+  return {
+    number: line.batchNumber === undefined || line.batchNumber === "" ? null : String(line.batchNumber),
+    manufacturedOn: line.manufactureDate || null,
+    expiresOn: line.expiryDate || null,
+  };
+}
+
+// The id of the batch an incoming movement posts into, created on first receipt. Stock
+// going out of a named batch (wastage, adjustments) must name an existing one.
+async function resolveBatch(db, mid, movement) {
+  const { batch } = movement;
+  if (movement.quantity < 0) {
+    const existing = await db.query(
+      "SELECT id FROM stock_batches WHERE mid = $1 AND item_type = $2 AND item_id = $3 AND batch_number = $4",
+      [mid, movement.itemType, movement.itemId, batch.number]
+    );
+    if (existing.rows.length === 0) {
+      const message = batch.number === null ? "is required to take stock out of a batch" : `no batch ${batch.number} for this item`;
+      throw new ValidationError([{ field: "batchNumber", message }]);
+    }
+    return existing.rows[0].id;
+  }
+  const result = await db.query(
+    `INSERT INTO stock_batches (mid, item_type, item_id, batch_number, manufactured_on, expires_on)
+    VALUES (
+      $1, $2, $3,
+      COALESCE($4, TO_CHAR(COALESCE($5::date, $6::date, CURRENT_DATE), 'YYYY-MM-DD')),
+      COALESCE($5::date, $6::date, CURRENT_DATE),
+      $7
+    )
+    ON CONFLICT (mid, item_type, item_id, batch_number) DO UPDATE SET
+      manufactured_on = COALESCE($5::date, stock_batches.manufactured_on),
+      expires_on = COALESCE(EXCLUDED.expires_on, stock_batches.expires_on)
+    RETURNING id`,
+    [mid, movement.itemType, movement.itemId, batch.number, batch.manufacturedOn, movement.date || null, batch.expiresOn]
+  );
+  return result.rows[0].id;
+}
+
+// Split an outgoing movement across the item's batches, first expiry first out
+async function allocateBatches(db, mid, movement) {
+  if (!FEFO_MOVEMENT_TYPES.includes(movement.movementType) || movement.quantity >= 0 || movement.batchId) {
+    return [movement];
+  }
+  const batches = await db.query(
+    `SELECT b.id, (SELECT COALESCE(SUM(m.quantity), 0) FROM stock_movements m WHERE m.batch_id = b.id) AS remaining
+    FROM stock_batches b
+    WHERE b.mid = $1 AND b.item_type = $2 AND b.item_id = $3
+      AND (b.expires_on IS NULL OR b.expires_on >= COALESCE($4::date, CURRENT_DATE))
+    ORDER BY b.expires_on NULLS LAST, b.manufactured_on NULLS LAST, b.id
+    FOR UPDATE OF b`,
+    [mid, movement.itemType, movement.itemId, movement.date || null]
+  );
+
+  const parts = [];
+  let outstanding = -movement.quantity;
+  for (const batch of batches.rows) {
+    const remaining = Number(batch.remaining);
+    if (outstanding <= 0) {
+      break;
+    }
+    if (remaining <= 0) {
+      continue;
+    }
+    const taken = Math.min(remaining, outstanding);
+    parts.push({ ...movement, quantity: -taken, batchId: batch.id });
+    outstanding -= taken;
+  }
+  if (outstanding > 0) {
+    parts.push({ ...movement, quantity: -outstanding });
+  }
+  return parts;
+}
+
+// Batches with stock left, soonest expiry first; expiringWithin (days) keeps only those
+// expiring by then, including any already past their date
+async function listBatches(db, mid, { itemType, expiringWithin } = {}) {
+  const params = [mid];
+  let filter = "";
+  if (itemType) {
+    params.push(itemType);
+    filter += ` AND b.item_type = $${params.length}`;
+  }
+  if (expiringWithin !== undefined) {
+    params.push(expiringWithin);
+    filter += ` AND b.expires_on <= CURRENT_DATE + $${params.length}::integer`;
+  }
+  const result = await db.query(
+    `SELECT * FROM (
+      SELECT b.id, b.item_type, b.item_id, COALESCE(p.name, s.name) AS name,
+        COALESCE(p.metrics, s.unit) AS unit, b.batch_number, b.manufactured_on, b.expires_on,
+        b.expires_on - CURRENT_DATE AS days_to_expiry,
+        (SELECT COALESCE(SUM(m.quantity), 0) FROM stock_movements m WHERE m.batch_id = b.id) AS remaining
+      FROM stock_batches b
+      LEFT JOIN products p ON b.item_type = 'product' AND p.id = b.item_id AND p.mid = b.mid
+      LEFT JOIN supply s ON b.item_type = 'supply' AND s.id = b.item_id AND s.mid = b.mid
+      WHERE b.mid = $1 AND COALESCE(p.deleted_at, s.deleted_at) IS NULL
+        AND COALESCE(p.id, s.id) IS NOT NULL${filter}
+    ) batches
+    WHERE remaining > 0
+    ORDER BY expires_on NULLS LAST, name, batch_number`,
+    params
+  );
+  return result.rows;
+}
+
+module.exports = {
+  FEFO_MOVEMENT_TYPES,
+  DEFAULT_EXPIRY_WINDOW_DAYS,
+  lineBatch,
+  resolveBatch,
+  allocateBatches,
+  listBatches,
+};
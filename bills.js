@@ -0,0 +1,162 @@
+// Structured bill model. POST /sync/bills still receives the POS bill document as
+// free-form JSON (kept in bills.data); decomposeBill() turns it into header figures on
+// bills and one bill_items row per line, linked to products by (id, mid).
+//
+// Field names follow what the apps send, with a few aliases:
+//   items | products | rows              the line items
+//   line: productId, name, quantity | qty, price | rate | unitPrice | mrp (defaults to
+//         the customer's price on the bill date, see pricing.js),
+//         discount (amount), gst | gstRate (percent; defaults to the product's rate),
+//         hsn (defaults to the product's HSN code), unit (defaults to the product's
+//         unit; quantity and price are converted to it, see units.js)
+//   bill: date, customer | customerName | merchantName, customerId,
+//         discount (bill-level amount),
+//         paymentMode | paymentMethod, customerGstin | gstin,
+//         placeOfSupply | customerState,
+//         gstInclusive (default true: prices already include GST, as MRPs do)
+
+const { normaliseUnit, convertQuantity } = require("./units");
+
+const DATE_PREFIX = /^(\d{4}-\d{2}-\d{2})/;
+
+function toNumber(value, fallback) {
+  const number = Number(value);
+  return value === undefined || value === null || value === "" || !Number.isFinite(number) ? fallback : number;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function billItems(bill) {
+  return [bill.items, bill.products, bill.rows].find(Array.isArray) || [];
+}
+
+// The price a line was sent with, if any
+function linePrice(item) {
+  return item.price ?? item.rate ?? item.unitPrice ?? item.mrp;
+}
+
+// Products referenced by a bill, keyed by id and by name, for line linking
+async function loadBillProducts(db, mid, bill) {
+  const items = billItems(bill);
+  const ids = items.map((item) => Number(item.productId)).filter(Number.isInteger);
+  const names = items.map((item) => item.name).filter((name) => typeof name === "string");
+  const result = await db.query(
+    "SELECT id, name, gst, hsn, metrics FROM products WHERE mid = $1 AND (id = ANY($2::integer[]) OR name = ANY($3::text[]))",
+    [mid, ids, names]
+  );
+  const products = { byId: new Map(), byName: new Map() };
+  for (const product of result.rows) {
+    products.byId.set(product.id, product);
+    products.byName.set(product.name, product);
+  }
+  return products;
+}
+
+// Split a bill document into header figures and priced lines. A bill-level discount is
+// spread over the lines in proportion to their value so taxable values stay correct.
+// prices holds the price per product unit for lines sent without one (see pricing.js).
+function decomposeBill(bill, products, prices = new Map()) {
+  const taxInclusive = bill.gstInclusive !== false;
+
+  const lines = billItems(bill).map((item, index) => {
+    const product =
+      products.byId.get(Number(item.productId)) || products.byName.get(item.name) || null;
+    const soldQuantity = toNumber(item.quantity ?? item.qty, 1);
+    const soldPrice = toNumber(linePrice(item), 0);
+    // Lines sold in another unit are restated in the product's unit at the same value
+    const unit = (product && normaliseUnit(product.metrics)) || normaliseUnit(item.unit);
+    const quantity = convertQuantity(soldQuantity, item.unit, unit, `items[${index}].unit`);
+    const listPrice = product && (linePrice(item) === undefined || linePrice(item) === null) ? prices.get(product.id) : undefined;
+    const gross = listPrice === undefined ? soldQuantity * soldPrice : quantity * listPrice;
+    return {
+      lineNo: index + 1,
+      productId: product ? product.id : null,
+      name: item.name || (product && product.name) || `Item ${index + 1}`,
+      quantity,
+      unit,
+      unitPrice: quantity !== 0 ? gross / quantity : listPrice ?? soldPrice,
+      gross,
+      discount: toNumber(item.discount, 0),
+      gstRate: toNumber(item.gst ?? item.gstRate, product ? toNumber(product.gst, 0) : 0),
+      hsn: item.hsn || (product && product.hsn) || null,
+    };
+  });
+
+  const subtotal = lines.reduce((sum, line) => sum + line.gross, 0);
+  const billDiscount = toNumber(bill.discount, 0);
+  let allocated = 0;
+  lines.forEach((line, index) => {
+    // The last line absorbs rounding so the shares add up to the bill discount
+    const share =
+      index === lines.length - 1
+        ? round2(billDiscount - allocated)
+        : subtotal > 0 ? round2((billDiscount * line.gross) / subtotal) : 0;
+    allocated += share;
+    line.discount = round2(line.discount + share);
+
+    const amount = line.gross - line.discount;
+    if (taxInclusive) {
+      line.taxableValue = round2(amount / (1 + line.gstRate / 100));
+      line.total = round2(amount);
+    } else {
+      line.taxableValue = round2(amount);
+      line.total = round2(amount * (1 + line.gstRate / 100));
+    }
+    line.gstAmount = round2(line.total - line.taxableValue);
+  });
+
+  const dateMatch = typeof bill.date === "string" ? DATE_PREFIX.exec(bill.date) : null;
+  const paymentMode = bill.paymentMode ?? bill.paymentMethod;
+  const customerGstin = bill.customerGstin ?? bill.gstin;
+  const header = {
+    billDate: dateMatch ? dateMatch[1] : null,
+    customerName: bill.customer ?? bill.customerName ?? bill.merchantName ?? null,
+    subtotal: round2(subtotal),
+    discount: round2(lines.reduce((sum, line) => sum + line.discount, 0)),
+    taxableValue: round2(lines.reduce((sum, line) => sum + line.taxableValue, 0)),
+    gstAmount: round2(lines.reduce((sum, line) => sum + line.gstAmount, 0)),
+    total: round2(lines.reduce((sum, line) => sum + line.total, 0)),
+    taxInclusive,
+    paymentMode: typeof paymentMode === "string" ? paymentMode.toLowerCase() : null,
+    customerGstin: typeof customerGstin === "string" && customerGstin !== "" ? customerGstin.toUpperCase() : null,
+    supplyState: bill.placeOfSupply ?? bill.customerState ?? null,
+  };
+
+  return { header, lines };
+}
+
+// Replace a bill's line items with freshly decomposed ones; returns the stored rows
+async function replaceBillItems(db, billId, mid, lines) {
+  await db.query("DELETE FROM bill_items WHERE bill_id = $1 AND mid = $2", [billId, mid]);
+  const items = [];
+  for (const line of lines) {
+    const result = await db.query(
+      `INSERT INTO bill_items (
+        bill_id, mid, line_no, product_id, name, quantity, unit_price,
+        discount, gst_rate, taxable_value, gst_amount, total, hsn, unit
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING *`,
+      [
+        billId,
+        mid,
+        line.lineNo,
+        line.productId,
+        line.name,
+        line.quantity,
+        line.unitPrice,
+        line.discount,
+        line.gstRate,
+        line.taxableValue,
+        line.gstAmount,
+        line.total,
+        line.hsn,
+        line.unit,
+      ]
+    );
+    items.push(result.rows[0]);
+  }
+  return items;
+}
+
+module.exports = { billItems, linePrice, loadBillProducts, decomposeBill, replaceBillItems };
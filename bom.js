@@ -0,0 +1,160 @@
+// Bill of material expansion. A BOM (bill_of_material) is the recipe for one product:
+// its data is the list of supply items needed for yield_quantity units of product_id
+// (or, for BOMs saved without a productId, of the product with the BOM's name). Each
+// line is { supplyId, name, quantity | qty, unit }, converted to the supply item's unit
+// (see units.js); lines that match no supply item are ignored.
+//
+// When a production record is posted its output is expanded through these recipes into
+// the material required. What was actually consumed comes from the record's optional
+// materials list ({ supplyId, name, quantity | qty, unit }, the full actual usage); without
+// one, consumption is taken to be exactly what the recipes require.
+const { canConvert, convertQuantity } = require("./units");
+
+function toQuantity(value) {
+  const number = Number(value);
+  return value === undefined || value === null || value === "" || !Number.isFinite(number) ? 0 : number;
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function lineQuantity(line) {
+  return toQuantity(line.quantity ?? line.qty);
+}
+
+// A recipe line's quantity in its supply item's unit, or null if the units don't mix
+function materialQuantity(line, supply) {
+  return canConvert(line.unit, supply.unit) ? convertQuantity(lineQuantity(line), line.unit, supply.unit) : null;
+}
+
+// Recipe lines whose unit cannot be converted to their supply item's unit
+function recipeUnitProblems(lines, supplies) {
+  const problems = [];
+  lines.forEach((line, index) => {
+    const supply = line && typeof line === "object" ? findSupply(supplies, line) : null;
+    if (supply && !canConvert(line.unit, supply.unit)) {
+      problems.push({ field: `data[${index}].unit`, message: `cannot convert ${line.unit} to ${supply.unit}` });
+    }
+  });
+  return problems;
+}
+
+async function loadSupplies(db, mid) {
+  const result = await db.query("SELECT id, name, unit FROM supply WHERE mid = $1 AND deleted_at IS NULL", [mid]);
+  return {
+    byId: new Map(result.rows.map((row) => [row.id, row])),
+    byName: new Map(result.rows.map((row) => [row.name, row])),
+  };
+}
+
+function findSupply(supplies, line) {
+  return supplies.byId.get(Number(line.supplyId)) || supplies.byName.get(line.name) || null;
+}
+
+// Live recipes keyed by product id and by BOM name
+async function loadRecipes(db, mid) {
+  const result = await db.query(
+    "SELECT id, name, product_id, yield_quantity, data FROM bill_of_material WHERE mid = $1 AND deleted_at IS NULL",
+    [mid]
+  );
+  const recipes = { byProductId: new Map(), byName: new Map() };
+  for (const bom of result.rows) {
+    if (bom.product_id !== null) {
+      recipes.byProductId.set(bom.product_id, bom);
+    }
+    recipes.byName.set(bom.name, bom);
+  }
+  return recipes;
+}
+
+function findRecipe(recipes, product) {
+  return recipes.byProductId.get(product.id) || recipes.byName.get(product.name) || null;
+}
+
+// Required and consumed quantity of each supply item for a production record.
+// outputs are the record's production movements (see productionMovements in stock.js).
+function productionMaterials(record, outputs, products, recipes, supplies) {
+  const materials = new Map();
+  const material = (supply) => {
+    if (!materials.has(supply.id)) {
+      materials.set(supply.id, { supplyId: supply.id, name: supply.name, required: 0, consumed: 0 });
+    }
+    return materials.get(supply.id);
+  };
+
+  const withoutRecipe = [];
+  for (const output of outputs.filter((movement) => movement.movementType === "production")) {
+    const product = products.byId.get(output.itemId);
+    const recipe = product && findRecipe(recipes, product);
+    if (!recipe || !Array.isArray(recipe.data)) {
+      withoutRecipe.push(product ? product.name : output.itemId);
+      continue;
+    }
+    const batches = output.quantity / (Number(recipe.yield_quantity) > 0 ? Number(recipe.yield_quantity) : 1);
+    for (const line of recipe.data) {
+      const supply = line && typeof line === "object" ? findSupply(supplies, line) : null;
+      const quantity = supply && materialQuantity(line, supply);
+      if (quantity !== null && quantity !== undefined && supply) {
+        material(supply).required += quantity * batches;
+      }
+    }
+  }
+
+  if (Array.isArray(record.materials)) {
+    record.materials.forEach((line, index) => {
+      const supply = line && typeof line === "object" ? findSupply(supplies, line) : null;
+      if (supply) {
+        material(supply).consumed += convertQuantity(lineQuantity(line), line.unit, supply.unit, `materials[${index}].unit`);
+      }
+    });
+  } else {
+    for (const entry of materials.values()) {
+      entry.consumed = entry.required;
+    }
+  }
+
+  const rows = [...materials.values()].map((entry) => ({
+    ...entry,
+    required: round3(entry.required),
+    consumed: round3(entry.consumed),
+  }));
+  return { materials: rows, withoutRecipe };
+}
+
+// Consumption movements for the materials actually used
+function consumptionMovements(materials, date) {
+  return materials
+    .filter((entry) => entry.consumed !== 0)
+    .map((entry) => ({
+      itemType: "supply",
+      itemId: entry.supplyId,
+      movementType: "consumption",
+      quantity: -entry.consumed,
+      date,
+    }));
+}
+
+// Replace the required / consumed snapshot kept for a production record
+async function replaceProductionMaterials(db, mid, productionId, materials) {
+  await db.query("DELETE FROM production_materials WHERE production_id = $1 AND mid = $2", [productionId, mid]);
+  for (const entry of materials) {
+    await db.query(
+      `INSERT INTO production_materials (production_id, mid, supply_id, required, consumed)
+      VALUES ($1, $2, $3, $4, $5)`,
+      [productionId, mid, entry.supplyId, entry.required, entry.consumed]
+    );
+  }
+}
+
+module.exports = {
+  materialQuantity,
+  recipeUnitProblems,
+  findSupply,
+  findRecipe,
+  loadSupplies,
+  loadRecipes,
+  productionMaterials,
+  consumptionMovements,
+  replaceProductionMaterials,
+};
@@ -0,0 +1,104 @@
+// Costing. A supply item's purchase cost comes from its stock receipts that carry a
+// unit cost (goods receipts, or manual receipts sent with unitCost): either the latest
+// price paid or the average over all receipts weighted by quantity. A product's cost is
+// its BOM rolled up at those costs, per unit of product (see bom.js for recipes), and
+// its margins are taken against each price net of the product's GST, since prices
+// are GST-inclusive.
+const { materialQuantity, findSupply, findRecipe, loadSupplies, loadRecipes } = require("./bom");
+
+const COSTING_METHODS = ["average", "latest"];
+
+const PRICE_TYPES = ["mrp", "wsp", "sp"];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// Latest and weighted average purchase cost of every live supply item
+async function supplyCosts(db, mid, method = "average") {
+  const result = await db.query(
+    `SELECT s.id AS supply_id, s.name, s.unit,
+      ROUND(SUM(m.quantity * m.unit_cost) / NULLIF(SUM(m.quantity), 0), 4) AS average_cost,
+      (ARRAY_AGG(m.unit_cost ORDER BY m.movement_date DESC, m.id DESC))[1] AS latest_cost,
+      MAX(m.movement_date) AS last_received_date
+    FROM supply s
+    LEFT JOIN stock_movements m ON m.mid = s.mid AND m.item_type = 'supply' AND m.item_id = s.id
+      AND m.movement_type = 'receipt' AND m.unit_cost IS NOT NULL AND m.quantity > 0
+    WHERE s.mid = $1 AND s.deleted_at IS NULL
+    GROUP BY s.id, s.mid
+    ORDER BY s.name`,
+    [mid]
+  );
+  return result.rows.map((row) => ({ ...row, cost: method === "latest" ? row.latest_cost : row.average_cost }));
+}
+
+function margin(price, gstRate, cost) {
+  const gross = Number(price);
+  if (!(gross > 0) || cost === null) {
+    return { price: gross, netPrice: null, margin: null, marginPercent: null };
+  }
+  const netPrice = gross / (1 + Number(gstRate || 0) / 100);
+  return {
+    price: gross,
+    netPrice: round2(netPrice),
+    margin: round2(netPrice - cost),
+    marginPercent: round2(((netPrice - cost) / netPrice) * 100),
+  };
+}
+
+// Unit cost and margins of every live product. A product without a BOM has no cost;
+// one whose BOM uses supply items never bought at a known price is costed from the
+// rest and marked incomplete.
+async function productCosts(db, mid, method = "average") {
+  const products = await db.query(
+    "SELECT id, name, mrp, wsp, sp, gst FROM products WHERE mid = $1 AND deleted_at IS NULL ORDER BY name",
+    [mid]
+  );
+  const recipes = await loadRecipes(db, mid);
+  const supplies = await loadSupplies(db, mid);
+  const costs = await supplyCosts(db, mid, method);
+  const costBySupply = new Map(costs.map((row) => [row.supply_id, row.cost === null ? null : Number(row.cost)]));
+
+  return products.rows.map((product) => {
+    // An empty recipe says nothing about cost
+    const found = findRecipe(recipes, product);
+    const recipe = found && Array.isArray(found.data) && found.data.length > 0 ? found : null;
+    let cost = null;
+    const uncosted = [];
+    if (recipe) {
+      let total = 0;
+      for (const line of recipe.data) {
+        const supply = line && typeof line === "object" ? findSupply(supplies, line) : null;
+        const unitCost = supply ? costBySupply.get(supply.id) : null;
+        const quantity = supply ? materialQuantity(line, supply) : null;
+        if (unitCost === null || unitCost === undefined || quantity === null) {
+          uncosted.push(supply ? supply.name : line && line.name);
+          continue;
+        }
+        total += quantity * unitCost;
+      }
+      const yieldQuantity = Number(recipe.yield_quantity) > 0 ? Number(recipe.yield_quantity) : 1;
+      cost = round4(total / yieldQuantity);
+    }
+
+    const margins = {};
+    for (const priceType of PRICE_TYPES) {
+      margins[priceType] = margin(product[priceType], product.gst, cost);
+    }
+    return {
+      product_id: product.id,
+      name: product.name,
+      bom_id: recipe ? recipe.id : null,
+      cost,
+      complete: Boolean(recipe) && uncosted.length === 0,
+      uncosted,
+      margins,
+    };
+  });
+}
+
+module.exports = { COSTING_METHODS, PRICE_TYPES, supplyCosts, productCosts };
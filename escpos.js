@@ -0,0 +1,125 @@
+// ESC/POS byte streams for thermal receipt printers (see invoice.js). Text is printed in
+// the printer's default font A, so a line holds 32 characters on 58mm paper and 48 on
+// 80mm; characters outside ASCII lose their accents or print as "?". Images print as
+// black and white raster bitmaps.
+const PAPER = {
+  58: { columns: 32, dots: 384 },
+  80: { columns: 48, dots: 576 },
+};
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+
+function ascii(value) {
+  return String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x7e]/g, "?");
+}
+
+// Words wrapped to lines of at most width characters
+function wrap(value, width) {
+  const lines = [];
+  for (const paragraph of String(value ?? "").split("\n").map(ascii)) {
+    let line = "";
+    for (const word of paragraph.split(" ")) {
+      let rest = word;
+      while (rest.length > width) {
+        if (line) {
+          lines.push(line);
+          line = "";
+        }
+        lines.push(rest.slice(0, width));
+        rest = rest.slice(width);
+      }
+      if (line && line.length + 1 + rest.length > width) {
+        lines.push(line);
+        line = rest;
+      } else {
+        line = line ? `${line} ${rest}` : rest;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// A receipt builder for 58 or 80mm paper
+function createReceipt(paperWidth) {
+  const paper = PAPER[paperWidth];
+  const chunks = [Buffer.from([ESC, 0x40])];
+  const push = (...bytes) => chunks.push(Buffer.from(bytes));
+
+  return {
+    columns: paper.columns,
+    wrap: (value, width = paper.columns) => wrap(value, width),
+
+    align(where) {
+      push(ESC, 0x61, ALIGNMENTS[where]);
+    },
+
+    bold(on) {
+      push(ESC, 0x45, on ? 1 : 0);
+    },
+
+    // Double width and height; a line then holds half the columns
+    large(on) {
+      push(GS, 0x21, on ? 0x11 : 0);
+    },
+
+    line(value = "") {
+      chunks.push(Buffer.from(ascii(value), "ascii"));
+      push(LF);
+    },
+
+    // Left text and right text on one line, the left cut short when they do not fit
+    pair(left, right) {
+      const tail = ascii(right);
+      const head = ascii(left).slice(0, Math.max(paper.columns - tail.length - 1, 0));
+      this.line(head + " ".repeat(Math.max(paper.columns - head.length - tail.length, 1)) + tail);
+    },
+
+    rule(char = "-") {
+      this.line(char.repeat(paper.columns));
+    },
+
+    // An image of { width, height, pixels } (RGBA, see png.js) scaled down to fit
+    // maxDots, in black where it is dark and opaque enough
+    image(picture, maxDots = paper.dots) {
+      const scale = Math.min(1, Math.min(maxDots, paper.dots) / picture.width);
+      const width = Math.max(1, Math.round(picture.width * scale));
+      const height = Math.max(1, Math.round(picture.height * scale));
+      const rowBytes = Math.ceil(width / 8);
+      const bitmap = Buffer.alloc(rowBytes * height);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const source = (Math.min(Math.floor(y / scale), picture.height - 1) * picture.width +
+            Math.min(Math.floor(x / scale), picture.width - 1)) * 4;
+          const [r, g, b, a] = picture.pixels.subarray(source, source + 4);
+          const luminance = (0.299 * r + 0.587 * g + 0.114 * b) * (a / 255) + 255 * (1 - a / 255);
+          if (luminance < 128) {
+            bitmap[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+          }
+        }
+      }
+      push(GS, 0x76, 0x30, 0, rowBytes & 0xff, rowBytes >> 8, height & 0xff, height >> 8);
+      chunks.push(bitmap);
+      push(LF);
+    },
+
+    // Feed the paper past the cutter and cut, leaving a small hinge
+    cut() {
+      push(ESC, 0x64, 4);
+      push(GS, 0x56, 0x42, 0);
+    },
+
+    toBuffer() {
+      return Buffer.concat(chunks);
+    },
+  };
+}
+
+module.exports = { PAPER, createReceipt };
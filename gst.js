@@ -0,0 +1,388 @@
+// GST summaries and GSTR-ready exports built from decomposed bill lines.
+//
+// Place of supply decides the tax split: a bill whose place of supply is the merchant's
+// own state (register.locationState) is intra-state and pays CGST + SGST in equal halves;
+// anything else is inter-state and pays IGST. A bill's place of supply is its
+// placeOfSupply / customerState, else the state in the customer's GSTIN, else the
+// merchant's own state (a counter sale).
+//
+// Credit notes (see returns.js) come in as lines with negative values, so every summary
+// is net of returns. GSTR-1 reports credit notes to registered customers (CDNR) and
+// against large inter-state B2C invoices (CDNUR) note-wise; others net off B2CS.
+
+const { normaliseUnit } = require("./units");
+
+// GST state codes
+const STATES = {
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  "10": "Bihar",
+  "11": "Sikkim",
+  "12": "Arunachal Pradesh",
+  "13": "Nagaland",
+  "14": "Manipur",
+  "15": "Mizoram",
+  "16": "Tripura",
+  "17": "Meghalaya",
+  "18": "Assam",
+  "19": "West Bengal",
+  "20": "Jharkhand",
+  "21": "Odisha",
+  "22": "Chhattisgarh",
+  "23": "Madhya Pradesh",
+  "24": "Gujarat",
+  "26": "Dadra and Nagar Haveli and Daman and Diu",
+  "27": "Maharashtra",
+  "29": "Karnataka",
+  "30": "Goa",
+  "31": "Lakshadweep",
+  "32": "Kerala",
+  "33": "Tamil Nadu",
+  "34": "Puducherry",
+  "35": "Andaman and Nicobar Islands",
+  "36": "Telangana",
+  "37": "Andhra Pradesh",
+  "38": "Ladakh",
+  "97": "Other Territory",
+};
+
+// Inter-state B2C invoices above this value are reported invoice-wise (B2CL)
+const B2CL_THRESHOLD = 100000;
+
+// Unit codes (see units.js) to GST unit quantity codes
+const UQC = {
+  unit: "NOS",
+  pcs: "PCS",
+  kg: "KGS",
+  g: "GMS",
+  l: "LTR",
+  ml: "MLT",
+  dozen: "DOZ",
+  box: "BOX",
+  pack: "PAC",
+};
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+function normaliseStateName(name) {
+  return name.toLowerCase().replace(/[^a-z]/g, "");
+}
+
+const CODES_BY_NAME = new Map(
+  Object.entries(STATES).map(([code, name]) => [normaliseStateName(name), code])
+);
+
+// Accepts "36", "36-Telangana", "Telangana" or "telangana"
+function resolveStateCode(value) {
+  if (typeof value !== "string" || value.trim() === "") {
+    return null;
+  }
+  const code = /^\s*(\d{2})\b/.exec(value);
+  if (code && STATES[code[1]]) {
+    return code[1];
+  }
+  return CODES_BY_NAME.get(normaliseStateName(value)) || null;
+}
+
+function placeOfSupplyLabel(code) {
+  return code ? `${code}-${STATES[code]}` : "";
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// A bill's place of supply (from its customer_gstin and supply_state) and whether that
+// makes it inter-state
+function placeOfSupply(bill, merchantState) {
+  const merchantCode = resolveStateCode(merchantState);
+  const gstin = bill.customer_gstin || null;
+  const posCode = resolveStateCode(bill.supply_state) || (gstin && resolveStateCode(gstin.slice(0, 2))) || merchantCode;
+  return { posCode, interstate: Boolean(posCode && merchantCode && posCode !== merchantCode) };
+}
+
+// Split a line's GST between IGST or CGST + SGST
+function splitTax(gstAmount, interstate) {
+  if (interstate) {
+    return { igst: round2(gstAmount), cgst: 0, sgst: 0 };
+  }
+  const cgst = round2(gstAmount / 2);
+  return { igst: 0, cgst, sgst: round2(gstAmount - cgst) };
+}
+
+function addTo(target, line) {
+  target.taxableValue = round2(target.taxableValue + line.taxableValue);
+  target.igst = round2(target.igst + line.igst);
+  target.cgst = round2(target.cgst + line.cgst);
+  target.sgst = round2(target.sgst + line.sgst);
+  target.cess = 0;
+  return target;
+}
+
+function emptyTotals() {
+  return { taxableValue: 0, igst: 0, cgst: 0, sgst: 0, cess: 0 };
+}
+
+// A credit note line with its values as the positive amounts credited
+function credited(line) {
+  return { ...line, taxableValue: -line.taxableValue, igst: -line.igst, cgst: -line.cgst, sgst: -line.sgst };
+}
+
+function groupInto(map, key, seed, line) {
+  if (!map.has(key)) {
+    map.set(key, { ...seed, ...emptyTotals() });
+  }
+  return addTo(map.get(key), line);
+}
+
+// Build every GST view from bill lines. Each line carries its bill's header fields:
+// bill_id, bill_number, bill_date, customer_name, customer_gstin, supply_state,
+// invoice_value, plus gst_rate, hsn, name, unit, quantity, taxable_value, gst_amount,
+// total. Credit note lines also carry credit_note_id, credit_note_number,
+// credit_note_date and credit_note_value.
+function buildGstReport(rows, merchantState) {
+  const merchantCode = resolveStateCode(merchantState);
+
+  const lines = rows.map((row) => {
+    const gstin = row.customer_gstin || null;
+    const { posCode, interstate } = placeOfSupply(row, merchantState);
+    const taxableValue = Number(row.taxable_value);
+    const gstAmount = Number(row.gst_amount);
+    return {
+      billId: row.bill_id,
+      invoiceNumber: row.bill_number || String(row.bill_id),
+      invoiceDate: row.bill_date,
+      invoiceValue: Number(row.invoice_value),
+      creditNote: row.credit_note_id
+        ? { id: row.credit_note_id, number: row.credit_note_number, date: row.credit_note_date, value: Number(row.credit_note_value) }
+        : null,
+      customerName: row.customer_name,
+      gstin,
+      posCode,
+      interstate,
+      rate: Number(row.gst_rate),
+      hsn: row.hsn || "",
+      description: row.name,
+      uqc: UQC[normaliseUnit(row.unit) || "unit"] || "OTH",
+      quantity: Number(row.quantity),
+      totalValue: Number(row.total),
+      taxableValue,
+      ...splitTax(gstAmount, interstate),
+    };
+  });
+
+  const taxed = lines.filter((line) => line.rate > 0);
+  const nil = lines.filter((line) => line.rate === 0);
+
+  // Summary by rate slab
+  const byRate = new Map();
+  for (const line of lines) {
+    groupInto(byRate, line.rate, { rate: line.rate }, line);
+  }
+
+  // HSN-wise summary, one row per HSN, unit and rate
+  const hsn = new Map();
+  for (const line of lines) {
+    const entry = groupInto(
+      hsn,
+      `${line.hsn}|${line.uqc}|${line.rate}`,
+      { hsn: line.hsn, description: line.description, uqc: line.uqc, rate: line.rate, quantity: 0, totalValue: 0 },
+      line
+    );
+    entry.quantity = round2(entry.quantity + line.quantity);
+    entry.totalValue = round2(entry.totalValue + line.totalValue);
+  }
+
+  // GSTR-1 tables: B2B (registered customers), B2CL (large inter-state B2C invoices)
+  // invoice and rate wise, B2CS (all other B2C) by place of supply and rate, and the
+  // credit notes against B2B and B2CL invoices note and rate wise
+  const b2b = new Map();
+  const b2cl = new Map();
+  const b2cs = new Map();
+  const cdnr = new Map();
+  const cdnur = new Map();
+  for (const line of taxed) {
+    const invoice = {
+      invoiceNumber: line.invoiceNumber,
+      invoiceDate: line.invoiceDate,
+      invoiceValue: line.invoiceValue,
+      placeOfSupply: placeOfSupplyLabel(line.posCode),
+      rate: line.rate,
+    };
+    const note = line.creditNote && {
+      noteNumber: line.creditNote.number,
+      noteDate: line.creditNote.date,
+      noteType: "C",
+      noteValue: line.creditNote.value,
+      ...invoice,
+    };
+    const largeInterstate = line.interstate && line.invoiceValue > B2CL_THRESHOLD;
+    if (note && line.gstin) {
+      groupInto(cdnr, `${line.creditNote.id}|${line.rate}`, { gstin: line.gstin, receiverName: line.customerName, ...note }, credited(line));
+    } else if (note && largeInterstate) {
+      groupInto(cdnur, `${line.creditNote.id}|${line.rate}`, { urType: "B2CL", ...note }, credited(line));
+    } else if (line.gstin) {
+      groupInto(b2b, `${line.billId}|${line.rate}`, { gstin: line.gstin, receiverName: line.customerName, ...invoice }, line);
+    } else if (largeInterstate) {
+      groupInto(b2cl, `${line.billId}|${line.rate}`, invoice, line);
+    } else {
+      groupInto(
+        b2cs,
+        `${line.posCode}|${line.rate}`,
+        { type: "OE", placeOfSupply: placeOfSupplyLabel(line.posCode), rate: line.rate },
+        line
+      );
+    }
+  }
+
+  const nilRated = {
+    interstate: round2(nil.filter((line) => line.interstate).reduce((sum, line) => sum + line.taxableValue, 0)),
+    intrastate: round2(nil.filter((line) => !line.interstate).reduce((sum, line) => sum + line.taxableValue, 0)),
+  };
+
+  // GSTR-3B: 3.1(a) taxable outward supplies, 3.1(c) nil rated, 3.2 inter-state
+  // supplies to unregistered persons by place of supply
+  const outward = taxed.reduce((totals, line) => addTo(totals, line), emptyTotals());
+  const interstateUnregistered = new Map();
+  for (const line of taxed.filter((line) => line.interstate && !line.gstin)) {
+    groupInto(interstateUnregistered, line.posCode, { placeOfSupply: placeOfSupplyLabel(line.posCode) }, line);
+  }
+
+  return {
+    merchantState: placeOfSupplyLabel(merchantCode),
+    totals: lines.reduce((totals, line) => addTo(totals, line), emptyTotals()),
+    byRate: [...byRate.values()].sort((a, b) => a.rate - b.rate),
+    hsn: [...hsn.values()],
+    nilRated,
+    gstr1: {
+      b2b: [...b2b.values()],
+      b2cl: [...b2cl.values()],
+      b2cs: [...b2cs.values()],
+      cdnr: [...cdnr.values()],
+      cdnur: [...cdnur.values()],
+      hsn: [...hsn.values()],
+      nilRated,
+    },
+    gstr3b: {
+      outwardTaxable: outward,
+      nilRated: { taxableValue: round2(nilRated.interstate + nilRated.intrastate) },
+      interstateUnregistered: [...interstateUnregistered.values()].map(({ placeOfSupply, taxableValue, igst }) => ({
+        placeOfSupply,
+        taxableValue,
+        igst,
+      })),
+    },
+  };
+}
+
+// 'YYYY-MM-DD' to the dd-Mmm-yyyy dates the GST offline tool expects
+function gstDate(date) {
+  const [year, month, day] = String(date).split("-");
+  return `${day}-${MONTHS[Number(month) - 1]}-${year}`;
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(headers, rows) {
+  return [headers, ...rows].map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// GSTR-1 sections in the column layout of the GST offline tool's CSV templates
+const GSTR1_CSV = {
+  b2b: {
+    headers: [
+      "GSTIN/UIN of Recipient", "Receiver Name", "Invoice Number", "Invoice date", "Invoice Value",
+      "Place Of Supply", "Reverse Charge", "Applicable % of Tax Rate", "Invoice Type", "E-Commerce GSTIN",
+      "Rate", "Taxable Value", "Cess Amount",
+    ],
+    row: (entry) => [
+      entry.gstin, entry.receiverName, entry.invoiceNumber, gstDate(entry.invoiceDate), entry.invoiceValue,
+      entry.placeOfSupply, "N", "", "Regular B2B", "", entry.rate, entry.taxableValue, entry.cess,
+    ],
+  },
+  b2cl: {
+    headers: [
+      "Invoice Number", "Invoice date", "Invoice Value", "Place Of Supply", "Applicable % of Tax Rate",
+      "Rate", "Taxable Value", "Cess Amount", "E-Commerce GSTIN",
+    ],
+    row: (entry) => [
+      entry.invoiceNumber, gstDate(entry.invoiceDate), entry.invoiceValue, entry.placeOfSupply, "",
+      entry.rate, entry.taxableValue, entry.cess, "",
+    ],
+  },
+  b2cs: {
+    headers: ["Type", "Place Of Supply", "Applicable % of Tax Rate", "Rate", "Taxable Value", "Cess Amount", "E-Commerce GSTIN"],
+    row: (entry) => [entry.type, entry.placeOfSupply, "", entry.rate, entry.taxableValue, entry.cess, ""],
+  },
+  cdnr: {
+    headers: [
+      "GSTIN/UIN of Recipient", "Receiver Name", "Note Number", "Note Date", "Note Type", "Place Of Supply",
+      "Reverse Charge", "Note Supply Type", "Note Value", "Applicable % of Tax Rate", "Rate", "Taxable Value",
+      "Cess Amount",
+    ],
+    row: (entry) => [
+      entry.gstin, entry.receiverName, entry.noteNumber, gstDate(entry.noteDate), entry.noteType, entry.placeOfSupply,
+      "N", "Regular B2B", entry.noteValue, "", entry.rate, entry.taxableValue, entry.cess,
+    ],
+  },
+  cdnur: {
+    headers: [
+      "UR Type", "Note Number", "Note Date", "Note Type", "Place Of Supply", "Note Value", "Applicable % of Tax Rate",
+      "Rate", "Taxable Value", "Cess Amount",
+    ],
+    row: (entry) => [
+      entry.urType, entry.noteNumber, gstDate(entry.noteDate), entry.noteType, entry.placeOfSupply, entry.noteValue, "",
+      entry.rate, entry.taxableValue, entry.cess,
+    ],
+  },
+  hsn: {
+    headers: [
+      "HSN", "Description", "UQC", "Total Quantity", "Total Value", "Rate", "Taxable Value",
+      "Integrated Tax Amount", "Central Tax Amount", "State/UT Tax Amount", "Cess Amount",
+    ],
+    row: (entry) => [
+      entry.hsn, entry.description, entry.uqc, entry.quantity, entry.totalValue, entry.rate, entry.taxableValue,
+      entry.igst, entry.cgst, entry.sgst, entry.cess,
+    ],
+  },
+};
+
+function gstr1Csv(report, section) {
+  const layout = GSTR1_CSV[section];
+  return toCsv(layout.headers, report.gstr1[section].map(layout.row));
+}
+
+// GSTR-3B has no upload CSV; this mirrors the form's tables for copying into the portal
+function gstr3bCsv(report) {
+  const { outwardTaxable, nilRated, interstateUnregistered } = report.gstr3b;
+  const rows = [
+    ["3.1(a)", "Outward taxable supplies (other than zero rated, nil rated and exempted)",
+      outwardTaxable.taxableValue, outwardTaxable.igst, outwardTaxable.cgst, outwardTaxable.sgst, outwardTaxable.cess],
+    ["3.1(c)", "Other outward supplies (nil rated, exempted)", nilRated.taxableValue, 0, 0, 0, 0],
+    ...interstateUnregistered.map((entry) => [
+      "3.2", `Supplies to unregistered persons: ${entry.placeOfSupply}`, entry.taxableValue, entry.igst, "", "", "",
+    ]),
+  ];
+  return toCsv(["Table", "Description", "Taxable Value", "Integrated Tax", "Central Tax", "State/UT Tax", "Cess"], rows);
+}
+
+module.exports = {
+  GSTR1_SECTIONS: Object.keys(GSTR1_CSV),
+  resolveStateCode,
+  placeOfSupply,
+  placeOfSupplyLabel,
+  splitTax,
+  buildGstReport,
+  gstr1Csv,
+  gstr3bCsv,
+};
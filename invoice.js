@@ -0,0 +1,474 @@
+// Printable invoices, laid out on the server so every till prints the same thing: a bill
+// as an A4 PDF or as an ESC/POS receipt for 58mm or 80mm thermal paper.
+//
+// The merchant's name, address and phone come from the register row of the device that
+// made the bill, so a reprint from another till matches the original; bills from before
+// bills recorded their register use the printing device's. Each merchant's invoice
+// layout adds header and footer text, the GSTIN printed on tax invoices and a PNG logo.
+// A bill from a register with GST enabled prints as a TAX INVOICE with HSN codes and the
+// tax by rate, split into CGST + SGST or IGST by place of supply (see gst.js); otherwise
+// it prints as an INVOICE without tax details.
+const { ValidationError } = require("./validation");
+const { placeOfSupply, placeOfSupplyLabel, splitTax } = require("./gst");
+const { decodePng, flattenOnWhite } = require("./png");
+const { createPdf } = require("./pdf");
+const { createReceipt } = require("./escpos");
+
+// Logos larger than this either way are refused; printers scale them down anyway
+const MAX_LOGO_PIXELS = 1024;
+
+const LAYOUT_COLUMNS = `mid, header_text, footer_text, gstin, logo IS NOT NULL AS has_logo,
+  logo_width, logo_height, updated_at`;
+
+const TENDER_LABELS = { cash: "Cash", upi: "UPI", card: "Card", credit: "Credit", other: "Other" };
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function money(value) {
+  return Number(value).toFixed(2);
+}
+
+function quantity(value) {
+  return String(round2(Number(value)));
+}
+
+// '2026-10-19' -> '19/10/2026'
+function printedDate(date) {
+  const [year, month, day] = String(date).split("-");
+  return `${day}/${month}/${year}`;
+}
+
+// A base64 PNG from a layout payload as { png, width, height }
+function readLogo(base64) {
+  const png = Buffer.from(base64, "base64");
+  let image;
+  try {
+    image = decodePng(png);
+  } catch (err) {
+    throw new ValidationError([{ field: "logo", message: `is not a usable PNG image: ${err.message}` }]);
+  }
+  if (image.width > MAX_LOGO_PIXELS || image.height > MAX_LOGO_PIXELS) {
+    throw new ValidationError([{ field: "logo", message: `must be at most ${MAX_LOGO_PIXELS} pixels each way` }]);
+  }
+  return { png, width: image.width, height: image.height };
+}
+
+// The merchant's layout without the logo itself; defaults when none is saved
+async function loadLayout(db, mid) {
+  const result = await db.query(`SELECT ${LAYOUT_COLUMNS} FROM invoice_layouts WHERE mid = $1`, [mid]);
+  return result.rows[0] || {
+    mid,
+    header_text: null,
+    footer_text: null,
+    gstin: null,
+    has_logo: false,
+    logo_width: null,
+    logo_height: null,
+    updated_at: null,
+  };
+}
+
+// Save the fields given; headerText, footerText, gstin or logo sent as null clear them
+async function saveLayout(db, mid, layoutData) {
+  const logo = typeof layoutData.logo === "string" ? readLogo(layoutData.logo) : null;
+  const given = (field) => (field in layoutData ? 1 : 0);
+  const result = await db.query(
+    `INSERT INTO invoice_layouts (mid, header_text, footer_text, gstin, logo, logo_width, logo_height)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (mid) DO UPDATE SET
+      header_text = CASE WHEN $8 = 1 THEN EXCLUDED.header_text ELSE invoice_layouts.header_text END,
+      footer_text = CASE WHEN $9 = 1 THEN EXCLUDED.footer_text ELSE invoice_layouts.footer_text END,
+      gstin = CASE WHEN $10 = 1 THEN EXCLUDED.gstin ELSE invoice_layouts.gstin END,
+      logo = CASE WHEN $11 = 1 THEN EXCLUDED.logo ELSE invoice_layouts.logo END,
+      logo_width = CASE WHEN $11 = 1 THEN EXCLUDED.logo_width ELSE invoice_layouts.logo_width END,
+      logo_height = CASE WHEN $11 = 1 THEN EXCLUDED.logo_height ELSE invoice_layouts.logo_height END,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING ${LAYOUT_COLUMNS}`,
+    [
+      mid,
+      layoutData.headerText ?? null,
+      layoutData.footerText ?? null,
+      layoutData.gstin ? layoutData.gstin.toUpperCase() : null,
+      logo && logo.png,
+      logo && logo.width,
+      logo && logo.height,
+      given("headerText"),
+      given("footerText"),
+      given("gstin"),
+      given("logo"),
+    ]
+  );
+  return result.rows[0];
+}
+
+async function loadLogo(db, mid) {
+  const result = await db.query("SELECT logo FROM invoice_layouts WHERE mid = $1 AND logo IS NOT NULL", [mid]);
+  return result.rows.length > 0 ? result.rows[0].logo : null;
+}
+
+// Everything printed on a bill's invoice, or null when the bill does not exist;
+// registerId is the printing device's, used only for bills with no register of their own
+async function loadInvoice(db, mid, billId, registerId) {
+  const billResult = await db.query("SELECT * FROM bills WHERE id = $1 AND mid = $2", [billId, mid]);
+  if (billResult.rows.length === 0) {
+    return null;
+  }
+  const bill = billResult.rows[0];
+  const items = await db.query("SELECT * FROM bill_items WHERE bill_id = $1 AND mid = $2 ORDER BY line_no", [billId, mid]);
+  const tenders = await db.query("SELECT * FROM bill_tenders WHERE bill_id = $1 AND mid = $2 ORDER BY line_no", [billId, mid]);
+  const registerResult = await db.query(
+    `SELECT merchantName AS "merchantName", phoneNumber AS "phoneNumber", email,
+      locationAddress AS "locationAddress", locationCity AS "locationCity", locationState AS "locationState",
+      locationZipCode AS "locationZipCode", gstEnabled AS "gstEnabled"
+    FROM register WHERE id = $1`,
+    [bill.register_id ?? registerId]
+  );
+  const register = registerResult.rows[0] || {};
+  const layout = await loadLayout(db, mid);
+  const logo = layout.has_logo ? decodePng(await loadLogo(db, mid)) : null;
+
+  const gst = Boolean(register.gstEnabled);
+  const { posCode, interstate } = placeOfSupply(bill, register.locationState);
+  const lines = items.rows.map((item) => ({
+    lineNo: item.line_no,
+    name: item.name,
+    hsn: item.hsn || "",
+    quantity: quantity(item.quantity),
+    unit: item.unit || "",
+    unitPrice: Number(item.unit_price),
+    discount: Number(item.discount),
+    gstRate: Number(item.gst_rate),
+    taxableValue: Number(item.taxable_value),
+    gstAmount: Number(item.gst_amount),
+    total: Number(item.total),
+  }));
+
+  // Tax by rate, split the way the GST returns split it
+  const taxes = new Map();
+  for (const line of gst ? lines : []) {
+    const split = splitTax(line.gstAmount, interstate);
+    const entry = taxes.get(line.gstRate) || { rate: line.gstRate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+    entry.taxableValue = round2(entry.taxableValue + line.taxableValue);
+    entry.cgst = round2(entry.cgst + split.cgst);
+    entry.sgst = round2(entry.sgst + split.sgst);
+    entry.igst = round2(entry.igst + split.igst);
+    taxes.set(line.gstRate, entry);
+  }
+  const taxTotal = (column) => round2([...taxes.values()].reduce((sum, entry) => sum + entry[column], 0));
+
+  const cityLine = [register.locationCity, [register.locationState, register.locationZipCode].filter(Boolean).join(" ")]
+    .filter(Boolean)
+    .join(", ");
+  return {
+    title: gst ? "TAX INVOICE" : "INVOICE",
+    cancelled: bill.deleted_at !== null,
+    gst,
+    merchant: {
+      name: register.merchantName || "",
+      address: [register.locationAddress, cityLine].filter(Boolean),
+      phone: register.phoneNumber || null,
+      email: register.email || null,
+      gstin: gst ? layout.gstin : null,
+    },
+    headerText: layout.header_text,
+    footerText: layout.footer_text,
+    logo,
+    number: bill.invoice_number || String(bill.id),
+    date: printedDate(bill.bill_date),
+    customer: {
+      name: bill.customer_name || null,
+      gstin: gst ? bill.customer_gstin : null,
+    },
+    placeOfSupply: gst ? placeOfSupplyLabel(posCode) : null,
+    interstate,
+    lines,
+    taxes: [...taxes.values()].sort((a, b) => a.rate - b.rate),
+    totals: {
+      subtotal: Number(bill.subtotal),
+      discount: Number(bill.discount),
+      taxableValue: Number(bill.taxable_value),
+      gstAmount: Number(bill.gst_amount),
+      cgst: taxTotal("cgst"),
+      sgst: taxTotal("sgst"),
+      igst: taxTotal("igst"),
+      total: Number(bill.total),
+    },
+    tenders: tenders.rows.map((tender) => ({
+      tender: TENDER_LABELS[tender.tender] || tender.tender,
+      amount: Number(tender.amount),
+      reference: tender.reference,
+    })),
+  };
+}
+
+// The tax lines under the totals
+function taxTotals(invoice) {
+  if (!invoice.gst) {
+    return [];
+  }
+  if (invoice.interstate) {
+    return [["IGST", invoice.totals.igst]];
+  }
+  return [["CGST", invoice.totals.cgst], ["SGST", invoice.totals.sgst]];
+}
+
+function fitText(pdf, value, width, size, bold) {
+  let text = String(value ?? "");
+  if (pdf.textWidth(text, size, bold) <= width) {
+    return text;
+  }
+  while (text.length > 0 && pdf.textWidth(`${text}...`, size, bold) > width) {
+    text = text.slice(0, -1);
+  }
+  return `${text}...`;
+}
+
+// A4 tax invoice
+function invoicePdf(invoice) {
+  const pdf = createPdf();
+  const margin = 40;
+  const right = pdf.width - margin;
+  const bottom = pdf.height - margin;
+  let y = margin;
+
+  pdf.addPage();
+  if (invoice.logo) {
+    const scale = Math.min(160 / invoice.logo.width, 60 / invoice.logo.height, 1);
+    const width = invoice.logo.width * scale;
+    const height = invoice.logo.height * scale;
+    pdf.image({ width: invoice.logo.width, height: invoice.logo.height, rgb: flattenOnWhite(invoice.logo) }, (pdf.width - width) / 2, y, width, height);
+    y += height + 6;
+  }
+  y += 14;
+  pdf.text(pdf.width / 2, y, invoice.merchant.name, { size: 16, bold: true, align: "center" });
+  const contact = [
+    invoice.merchant.phone && `Phone: ${invoice.merchant.phone}`,
+    invoice.merchant.email && `Email: ${invoice.merchant.email}`,
+  ].filter(Boolean);
+  for (const line of [...invoice.merchant.address, contact.join("   ")].filter(Boolean)) {
+    y += 12;
+    pdf.text(pdf.width / 2, y, line, { size: 9, align: "center" });
+  }
+  if (invoice.merchant.gstin) {
+    y += 12;
+    pdf.text(pdf.width / 2, y, `GSTIN: ${invoice.merchant.gstin}`, { size: 9, bold: true, align: "center" });
+  }
+  for (const line of (invoice.headerText || "").split("\n").filter(Boolean)) {
+    y += 12;
+    pdf.text(pdf.width / 2, y, line, { size: 9, align: "center" });
+  }
+
+  y += 12;
+  pdf.rule(margin, y, right, y);
+  y += 18;
+  pdf.text(pdf.width / 2, y, invoice.cancelled ? `${invoice.title} (CANCELLED)` : invoice.title, { size: 13, bold: true, align: "center" });
+  y += 10;
+  pdf.rule(margin, y, right, y);
+
+  // Customer on the left, invoice details on the right
+  const top = y;
+  const details = [["Invoice No", invoice.number], ["Date", invoice.date]];
+  if (invoice.placeOfSupply) {
+    details.push(["Place of supply", invoice.placeOfSupply]);
+  }
+  details.forEach(([label, value], index) => {
+    pdf.text(right - 150, top + 16 + index * 13, `${label}:`, { size: 9, bold: true });
+    pdf.text(right, top + 16 + index * 13, value, { size: 9, align: "right" });
+  });
+  pdf.text(margin, top + 16, "Bill to:", { size: 9, bold: true });
+  pdf.text(margin, top + 29, invoice.customer.name || "Walk-in customer", { size: 9 });
+  if (invoice.customer.gstin) {
+    pdf.text(margin, top + 42, `GSTIN: ${invoice.customer.gstin}`, { size: 9 });
+  }
+  y = top + 16 + Math.max(details.length, 3) * 13;
+
+  // Line items; the header repeats on every page
+  const columns = [
+    { title: "#", width: 20, value: (line) => String(line.lineNo) },
+    { title: "Item", width: invoice.gst ? 140 : 290, value: (line) => line.name, left: true },
+    invoice.gst && { title: "HSN", width: 50, value: (line) => line.hsn, left: true },
+    { title: "Qty", width: 45, value: (line) => `${line.quantity} ${line.unit}`.trim() },
+    { title: "Rate", width: 55, value: (line) => money(line.unitPrice) },
+    { title: "Disc", width: 45, value: (line) => money(line.discount) },
+    invoice.gst && { title: "GST %", width: 45, value: (line) => String(line.gstRate) },
+    invoice.gst && { title: "Taxable", width: 55, value: (line) => money(line.taxableValue) },
+    { title: "Amount", width: 60, value: (line) => money(line.total) },
+  ].filter(Boolean);
+  const row = (values, bold) => {
+    let x = margin;
+    columns.forEach((column, index) => {
+      const text = fitText(pdf, values[index], column.width - 6, 9, bold);
+      if (column.left) {
+        pdf.text(x + 3, y, text, { size: 9, bold });
+      } else {
+        pdf.text(x + column.width - 3, y, text, { size: 9, bold, align: "right" });
+      }
+      x += column.width;
+    });
+  };
+  const tableHeader = () => {
+    y += 8;
+    pdf.rule(margin, y, right, y);
+    y += 12;
+    row(columns.map((column) => column.title), true);
+    y += 5;
+    pdf.rule(margin, y, right, y);
+  };
+
+  tableHeader();
+  for (const line of invoice.lines) {
+    if (y + 14 > bottom) {
+      pdf.addPage();
+      y = margin;
+      tableHeader();
+    }
+    y += 13;
+    row(columns.map((column) => column.value(line)), false);
+  }
+  y += 6;
+  pdf.rule(margin, y, right, y);
+
+  // Totals, the tax summary by rate and the tenders must stay together
+  const totals = [
+    ["Subtotal", invoice.totals.subtotal],
+    invoice.totals.discount > 0 && ["Discount", -invoice.totals.discount],
+    invoice.gst && ["Taxable value", invoice.totals.taxableValue],
+    ...taxTotals(invoice),
+  ].filter(Boolean);
+  const summaryHeight = (totals.length + 1) * 13 + (invoice.taxes.length + 2) * 13 + invoice.tenders.length * 13 + 60;
+  if (y + summaryHeight > bottom) {
+    pdf.addPage();
+    y = margin;
+  }
+  for (const [label, value] of totals) {
+    y += 13;
+    pdf.text(right - 150, y, label, { size: 9 });
+    pdf.text(right, y, money(value), { size: 9, align: "right" });
+  }
+  y += 16;
+  pdf.text(right - 150, y, "Total", { size: 11, bold: true });
+  pdf.text(right, y, money(invoice.totals.total), { size: 11, bold: true, align: "right" });
+
+  if (invoice.taxes.length > 0) {
+    y += 24;
+    const taxColumns = invoice.interstate ? ["GST %", "Taxable", "IGST"] : ["GST %", "Taxable", "CGST", "SGST"];
+    const taxValues = (entry) =>
+      invoice.interstate
+        ? [String(entry.rate), money(entry.taxableValue), money(entry.igst)]
+        : [String(entry.rate), money(entry.taxableValue), money(entry.cgst), money(entry.sgst)];
+    taxColumns.forEach((title, index) => pdf.text(margin + 70 * (index + 1), y, title, { size: 9, bold: true, align: "right" }));
+    for (const entry of invoice.taxes) {
+      y += 13;
+      taxValues(entry).forEach((value, index) => pdf.text(margin + 70 * (index + 1), y, value, { size: 9, align: "right" }));
+    }
+  }
+
+  if (invoice.tenders.length > 0) {
+    y += 22;
+    pdf.text(margin, y, "Paid by", { size: 9, bold: true });
+    for (const tender of invoice.tenders) {
+      y += 13;
+      pdf.text(margin, y, tender.reference ? `${tender.tender} (${tender.reference})` : tender.tender, { size: 9 });
+      pdf.text(margin + 210, y, money(tender.amount), { size: 9, align: "right" });
+    }
+  }
+
+  y += 12;
+  for (const line of (invoice.footerText || "").split("\n").filter(Boolean)) {
+    if (y + 14 > bottom) {
+      pdf.addPage();
+      y = margin;
+    }
+    y += 13;
+    pdf.text(pdf.width / 2, y, line, { size: 9, align: "center" });
+  }
+  return pdf.toBuffer();
+}
+
+// Thermal receipt for 58 or 80mm paper
+function invoiceEscPos(invoice, paperWidth) {
+  const receipt = createReceipt(paperWidth);
+
+  receipt.align("center");
+  if (invoice.logo) {
+    receipt.image(invoice.logo, Math.round((receipt.columns * 8 * 2) / 3));
+  }
+  receipt.bold(true);
+  receipt.large(true);
+  receipt.wrap(invoice.merchant.name, receipt.columns / 2).forEach((line) => receipt.line(line));
+  receipt.large(false);
+  receipt.bold(false);
+  for (const line of [...invoice.merchant.address, invoice.merchant.phone && `Ph: ${invoice.merchant.phone}`].filter(Boolean)) {
+    receipt.wrap(line).forEach((part) => receipt.line(part));
+  }
+  if (invoice.merchant.gstin) {
+    receipt.line(`GSTIN: ${invoice.merchant.gstin}`);
+  }
+  if (invoice.headerText) {
+    receipt.wrap(invoice.headerText).forEach((line) => receipt.line(line));
+  }
+  receipt.rule();
+  receipt.bold(true);
+  receipt.line(invoice.cancelled ? `${invoice.title} (CANCELLED)` : invoice.title);
+  receipt.bold(false);
+
+  receipt.align("left");
+  receipt.pair("Invoice", invoice.number);
+  receipt.pair("Date", invoice.date);
+  if (invoice.customer.name) {
+    receipt.pair("Customer", invoice.customer.name);
+  }
+  if (invoice.customer.gstin) {
+    receipt.pair("GSTIN", invoice.customer.gstin);
+  }
+  receipt.rule();
+
+  for (const line of invoice.lines) {
+    receipt.wrap(invoice.gst && line.hsn ? `${line.name} (HSN ${line.hsn})` : line.name).forEach((part) => receipt.line(part));
+    const gstRate = invoice.gst ? ` @${line.gstRate}%` : "";
+    receipt.pair(`  ${line.quantity}${line.unit ? ` ${line.unit}` : ""} x ${money(line.unitPrice)}${gstRate}`, money(line.total));
+    if (line.discount > 0) {
+      receipt.pair("  Discount", money(-line.discount));
+    }
+  }
+  receipt.rule();
+
+  receipt.pair("Subtotal", money(invoice.totals.subtotal));
+  if (invoice.totals.discount > 0) {
+    receipt.pair("Discount", money(-invoice.totals.discount));
+  }
+  if (invoice.gst) {
+    receipt.pair("Taxable value", money(invoice.totals.taxableValue));
+  }
+  for (const [label, value] of taxTotals(invoice)) {
+    receipt.pair(label, money(value));
+  }
+  receipt.bold(true);
+  receipt.pair("TOTAL", money(invoice.totals.total));
+  receipt.bold(false);
+
+  if (invoice.taxes.length > 1) {
+    receipt.rule();
+    for (const entry of invoice.taxes) {
+      receipt.pair(`GST ${entry.rate}% on ${money(entry.taxableValue)}`, money(entry.cgst + entry.sgst + entry.igst));
+    }
+  }
+  if (invoice.tenders.length > 0) {
+    receipt.rule();
+    for (const tender of invoice.tenders) {
+      receipt.pair(tender.reference ? `${tender.tender} (${tender.reference})` : tender.tender, money(tender.amount));
+    }
+  }
+
+  if (invoice.footerText) {
+    receipt.rule();
+    receipt.align("center");
+    receipt.wrap(invoice.footerText).forEach((line) => receipt.line(line));
+  }
+  receipt.cut();
+  return receipt.toBuffer();
+}
+
+module.exports = { loadLayout, saveLayout, loadLogo, loadInvoice, invoicePdf, invoiceEscPos };
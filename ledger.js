@@ -0,0 +1,193 @@
+// Customer receivables. The credit tender of a bill made out to a customer (a merchants
+// row, linked by customerId or by name) is owed by that customer (see tenders.js);
+// payments received (customer_payments) and credit notes refunded on credit (see
+// returns.js) settle the customer's credit bills oldest first. A customer's outstanding
+// balance is what they were billed on credit less what they paid and were credited. A
+// bill may not put a customer's balance past their credit limit.
+//
+//   payment: customerId or customer (name), amount, date, mode, reference, note
+//
+// The ageing report buckets each customer's unpaid credit bills by days since the bill
+// date; payments and credits beyond what is owed show as an advance.
+const { ValidationError } = require("./validation");
+
+const AGEING_BUCKETS = [
+  { key: "days0to30", upTo: 30 },
+  { key: "days31to60", upTo: 60 },
+  { key: "over60", upTo: Infinity },
+];
+
+// Live bills with a credit tender, with the amount put on credit
+const CREDIT_BILLS = `(
+  SELECT b.*, c.credit FROM bills b
+  JOIN (
+    SELECT bill_id, mid, SUM(amount) AS credit FROM bill_tenders WHERE tender = 'credit' GROUP BY bill_id, mid
+  ) c ON c.bill_id = b.id AND c.mid = b.mid
+  WHERE b.deleted_at IS NULL
+)`;
+
+// Live credit notes refunded to the customer's account
+const CREDIT_NOTES = "(SELECT * FROM bill_returns WHERE deleted_at IS NULL AND refund_mode = 'credit')";
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// A live customer by id, else by name; null when neither matches
+async function findCustomer(db, mid, { customerId, customerName } = {}) {
+  if (customerId === undefined && !customerName) {
+    return null;
+  }
+  const result = await db.query(
+    `SELECT * FROM merchants
+    WHERE mid = $1 AND deleted_at IS NULL AND (id = $2 OR ($2::integer IS NULL AND name = $3))`,
+    [mid, customerId ?? null, customerName || null]
+  );
+  return result.rows[0] || null;
+}
+
+// Refuse a bill's credit when it would take the customer past their credit limit. The
+// customer row is locked so two bills cannot both take the last of the limit; the bill's
+// own saved credit is left out of the balance, and a bill that puts no more on credit
+// than it did before is let through.
+async function checkCreditLimit(db, mid, customer, billId, credit) {
+  if (!customer || customer.credit_limit === null || credit <= 0) {
+    return;
+  }
+  await db.query("SELECT id FROM merchants WHERE id = $1 AND mid = $2 FOR UPDATE", [customer.id, mid]);
+  const result = await db.query(
+    `SELECT
+      COALESCE((SELECT SUM(credit) FROM ${CREDIT_BILLS} b WHERE b.mid = $1 AND b.id = $3), 0) AS saved,
+      COALESCE((SELECT SUM(credit) FROM ${CREDIT_BILLS} b
+        WHERE b.mid = $1 AND b.customer_id = $2 AND b.id <> $3), 0)
+      - COALESCE((SELECT SUM(amount) FROM customer_payments p
+        WHERE p.mid = $1 AND p.customer_id = $2 AND p.deleted_at IS NULL), 0)
+      - COALESCE((SELECT SUM(total) FROM ${CREDIT_NOTES} r WHERE r.mid = $1 AND r.customer_id = $2), 0) AS outstanding`,
+    [mid, customer.id, billId]
+  );
+  const saved = Number(result.rows[0].saved);
+  const outstanding = round2(Number(result.rows[0].outstanding));
+  const limit = Number(customer.credit_limit);
+  if (credit > saved && outstanding + credit - limit >= 0.01) {
+    throw new ValidationError([
+      { field: "tenders", message: `would take ${customer.name} past their credit limit of ${limit} (${outstanding} outstanding)` },
+    ]);
+  }
+}
+
+// Billed on credit, paid and outstanding per customer, as of a date (default today)
+async function customerBalances(db, mid, { asOf, customerId } = {}) {
+  const params = [mid, asOf || null];
+  let filter = "";
+  if (customerId !== undefined) {
+    params.push(customerId);
+    filter = ` AND m.id = $${params.length}`;
+  }
+  const result = await db.query(
+    `SELECT m.id AS customer_id, m.name, m.credit_limit, billed, paid, credited, billed - paid - credited AS outstanding,
+      m.credit_limit - (billed - paid - credited) AS available_credit,
+      COALESCE(billed - paid - credited > m.credit_limit, FALSE) AS over_limit
+    FROM (
+      SELECT m.*,
+        COALESCE((SELECT SUM(credit) FROM ${CREDIT_BILLS} b
+          WHERE b.mid = m.mid AND b.customer_id = m.id
+            AND b.bill_date <= COALESCE($2::date, CURRENT_DATE)), 0) AS billed,
+        COALESCE((SELECT SUM(amount) FROM customer_payments p
+          WHERE p.mid = m.mid AND p.customer_id = m.id AND p.deleted_at IS NULL
+            AND p.payment_date <= COALESCE($2::date, CURRENT_DATE)), 0) AS paid,
+        COALESCE((SELECT SUM(total) FROM ${CREDIT_NOTES} r
+          WHERE r.mid = m.mid AND r.customer_id = m.id
+            AND r.return_date <= COALESCE($2::date, CURRENT_DATE)), 0) AS credited
+      FROM merchants m
+      WHERE m.mid = $1 AND m.deleted_at IS NULL${filter}
+    ) m
+    ORDER BY outstanding DESC, m.name`,
+    params
+  );
+  return result.rows;
+}
+
+// Credit bills, credit notes and payments between from and to with a running balance,
+// opening from everything before
+async function customerStatement(db, mid, customerId, { from, to } = {}) {
+  const result = await db.query(
+    `SELECT * FROM (
+      SELECT bill_date AS date, 'bill' AS type, id, id::text AS reference, credit AS debit, 0 AS credit
+      FROM ${CREDIT_BILLS} b
+      WHERE mid = $1 AND customer_id = $2
+      UNION ALL
+      SELECT return_date, 'credit_note', id, credit_note_number, 0, total
+      FROM ${CREDIT_NOTES} r
+      WHERE mid = $1 AND customer_id = $2
+      UNION ALL
+      SELECT payment_date, 'payment', id, reference, 0, amount
+      FROM customer_payments
+      WHERE mid = $1 AND customer_id = $2 AND deleted_at IS NULL
+    ) entries
+    WHERE $3::date IS NULL OR date <= $3
+    ORDER BY date, type, id`,
+    [mid, customerId, to || null]
+  );
+
+  let opening = 0;
+  let balance = 0;
+  const entries = [];
+  for (const row of result.rows) {
+    balance = round2(balance + Number(row.debit) - Number(row.credit));
+    if (from && row.date < from) {
+      opening = balance;
+      continue;
+    }
+    entries.push({ ...row, debit: Number(row.debit), credit: Number(row.credit), balance });
+  }
+  return { from: from || null, to: to || null, opening, entries, closing: balance };
+}
+
+// Unpaid credit bills per customer in ageing buckets, as of a date (default today)
+async function ageingReport(db, mid, { asOf } = {}) {
+  const bills = await db.query(
+    `SELECT customer_id, id, bill_date, credit, COALESCE($2::date, CURRENT_DATE) - bill_date AS age
+    FROM ${CREDIT_BILLS} b
+    WHERE mid = $1 AND customer_id IS NOT NULL AND bill_date <= COALESCE($2::date, CURRENT_DATE)
+    ORDER BY customer_id, bill_date, id`,
+    [mid, asOf || null]
+  );
+  const balances = await customerBalances(db, mid, { asOf });
+
+  const emptyBuckets = () => Object.fromEntries(AGEING_BUCKETS.map((bucket) => [bucket.key, 0]));
+  const totals = { ...emptyBuckets(), outstanding: 0, advance: 0 };
+  const customers = [];
+  for (const customer of balances) {
+    let unapplied = Number(customer.paid) + Number(customer.credited);
+    const buckets = emptyBuckets();
+    for (const bill of bills.rows.filter((row) => row.customer_id === customer.customer_id)) {
+      const settled = Math.min(Number(bill.credit), unapplied);
+      unapplied -= settled;
+      const due = Number(bill.credit) - settled;
+      if (due > 0) {
+        const bucket = AGEING_BUCKETS.find((candidate) => bill.age <= candidate.upTo);
+        buckets[bucket.key] = round2(buckets[bucket.key] + due);
+      }
+    }
+    const outstanding = round2(AGEING_BUCKETS.reduce((sum, bucket) => sum + buckets[bucket.key], 0));
+    const advance = round2(unapplied);
+    if (outstanding === 0 && advance === 0) {
+      continue;
+    }
+    const row = { ...buckets, outstanding, advance };
+    customers.push({ customerId: customer.customer_id, name: customer.name, ...row });
+    for (const key of Object.keys(totals)) {
+      totals[key] = round2(totals[key] + row[key]);
+    }
+  }
+  return { asOf: asOf || null, customers, totals };
+}
+
+module.exports = {
+  AGEING_BUCKETS,
+  findCustomer,
+  checkCreditLimit,
+  customerBalances,
+  customerStatement,
+  ageingReport,
+};
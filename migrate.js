@@ -0,0 +1,174 @@
+const fs = require("fs");
+const path = require("path");
+
+// Versioned schema migrations. Each file in migrations/ is named <version>_<name>.js and
+// exports async up(client) and down(client). Every migration runs in its own transaction
+// together with its schema_migrations row, so a failure leaves the previous version intact.
+//
+//   node migrate.js            apply all pending migrations
+//   node migrate.js status     list applied and pending migrations
+//   node migrate.js down [n]   roll back the last n migrations (default 1), for local testing
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// Only one process may migrate at a time (several instances can start together)
+const MIGRATION_LOCK = "hashtext('schema_migrations')";
+
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_.+\.js$/.test(file))
+    .map((file) => {
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+      return { version: parseInt(file, 10), name: path.basename(file, ".js"), up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function appliedVersions(client) {
+  const result = await client.query("SELECT version, name, applied_at FROM schema_migrations ORDER BY version");
+  return result.rows;
+}
+
+// Run fn with a dedicated client holding the migration lock
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock(${MIGRATION_LOCK})`);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock(${MIGRATION_LOCK})`).catch(() => {});
+    client.release();
+  }
+}
+
+async function runInTransaction(client, fn) {
+  await client.query("BEGIN");
+  try {
+    await fn();
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  }
+}
+
+// Apply every pending migration in version order; returns the names applied
+async function migrateUp(pool) {
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Set((await appliedVersions(client)).map((row) => row.version));
+    const ran = [];
+    for (const migration of loadMigrations()) {
+      if (applied.has(migration.version)) {
+        continue;
+      }
+      await runInTransaction(client, async () => {
+        await migration.up(client);
+        await client.query("INSERT INTO schema_migrations (version, name) VALUES ($1, $2)", [
+          migration.version,
+          migration.name,
+        ]);
+      });
+      console.log("Applied migration", migration.name);
+      ran.push(migration.name);
+    }
+    return ran;
+  });
+}
+
+// Roll back the most recently applied migrations; returns the names rolled back
+async function migrateDown(pool, steps = 1) {
+  return withMigrationLock(pool, async (client) => {
+    const byVersion = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+    const applied = (await appliedVersions(client)).reverse().slice(0, steps);
+    const rolledBack = [];
+    for (const row of applied) {
+      const migration = byVersion.get(row.version);
+      if (!migration) {
+        throw new Error(`Migration ${row.name} is applied but its file is missing`);
+      }
+      await runInTransaction(client, async () => {
+        await migration.down(client);
+        await client.query("DELETE FROM schema_migrations WHERE version = $1", [migration.version]);
+      });
+      console.log("Rolled back migration", migration.name);
+      rolledBack.push(migration.name);
+    }
+    return rolledBack;
+  });
+}
+
+async function migrationStatus(pool) {
+  return withMigrationLock(pool, async (client) => {
+    const applied = await appliedVersions(client);
+    const appliedSet = new Set(applied.map((row) => row.version));
+    const known = loadMigrations();
+    const knownSet = new Set(known.map((migration) => migration.version));
+    return {
+      applied,
+      pending: known.filter((migration) => !appliedSet.has(migration.version)).map((migration) => migration.name),
+      // Applied by newer code than this checkout
+      unknown: applied.filter((row) => !knownSet.has(row.version)).map((row) => row.name),
+    };
+  });
+}
+
+// Throw unless the database is at exactly the schema version this code expects
+async function assertSchemaCurrent(pool) {
+  const { pending, unknown } = await migrationStatus(pool);
+  if (pending.length > 0) {
+    throw new Error(`Database schema is behind; pending migrations: ${pending.join(", ")}`);
+  }
+  if (unknown.length > 0) {
+    throw new Error(`Database schema is ahead of this code; unknown migrations: ${unknown.join(", ")}`);
+  }
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus, assertSchemaCurrent };
+
+if (require.main === module) {
+  const pool = require("./db");
+  const [command = "up", arg] = process.argv.slice(2);
+
+  (async () => {
+    if (command === "up") {
+      const ran = await migrateUp(pool);
+      console.log(ran.length > 0 ? `Applied ${ran.length} migration(s)` : "Schema is up to date");
+    } else if (command === "down") {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error("down takes a positive number of steps");
+      }
+      await migrateDown(pool, steps);
+    } else if (command === "status") {
+      const { applied, pending, unknown } = await migrationStatus(pool);
+      for (const row of applied) {
+        console.log(`applied  ${row.name}  (${row.applied_at.toISOString()})`);
+      }
+      for (const name of pending) {
+        console.log(`pending  ${name}`);
+      }
+      for (const name of unknown) {
+        console.log(`unknown  ${name}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}"; use up, down [n] or status`);
+    }
+  })()
+    .catch((err) => {
+      console.error("Migration failed:", err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
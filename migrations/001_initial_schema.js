@@ -0,0 +1,126 @@
+// The tables as initDatabase() first created them. IF NOT EXISTS lets databases
+// created before migrations existed adopt this baseline without changes.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS merchants (
+        id INTEGER NOT NULL,
+        mid INTEGER DEFAULT 1 NOT NULL,
+        name TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id, mid),
+        UNIQUE (name, mid)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bills (
+        id INTEGER NOT NULL,
+        mid INTEGER DEFAULT 1 NOT NULL,
+        data JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id, mid)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS inventory (
+        id INTEGER NOT NULL,
+        mid INTEGER DEFAULT 1 NOT NULL,
+        merchant_name TEXT NOT NULL,
+        date TEXT NOT NULL,
+        data JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id, mid),
+        UNIQUE(merchant_name, date, mid)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS supply (
+        id INTEGER NOT NULL,
+        mid INTEGER DEFAULT 1 NOT NULL,
+        name TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id, mid),
+        UNIQUE (name, mid)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS production (
+        id INTEGER NOT NULL,
+        mid INTEGER DEFAULT 1 NOT NULL,
+        date TEXT NOT NULL,
+        data JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id, mid),
+        UNIQUE(date, mid)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS products (
+        id INTEGER NOT NULL,
+        mid INTEGER DEFAULT 1 NOT NULL,
+        name TEXT NOT NULL,
+        mrp NUMERIC DEFAULT 0,
+        wsp NUMERIC DEFAULT 0,
+        sp NUMERIC DEFAULT 0,
+        metrics TEXT DEFAULT 'unit',
+        discount NUMERIC DEFAULT 0,
+        date TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id, mid),
+        UNIQUE(name, mid)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS register (
+        id SERIAL PRIMARY KEY,
+        merchantName TEXT,
+        hostName TEXT NOT NULL,
+        registeredDate TEXT NOT NULL,
+        phoneNumber TEXT,
+        email TEXT,
+        locationAddress TEXT,
+        locationCity TEXT,
+        locationState TEXT,
+        locationCountry TEXT,
+        locationZipCode TEXT,
+        registered BOOLEAN DEFAULT FALSE,
+        merchantId SERIAL,
+        editPassword TEXT DEFAULT 'paybean',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(hostName)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bill_of_material (
+        id INTEGER NOT NULL,
+        mid INTEGER DEFAULT 1 NOT NULL,
+        name TEXT NOT NULL,
+        date TEXT NOT NULL,
+        data JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id, mid),
+        UNIQUE(name, mid)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(
+      "DROP TABLE IF EXISTS bill_of_material, register, products, production, supply, inventory, bills, merchants"
+    );
+  },
+};
@@ -0,0 +1,29 @@
+// products.gst and the register price/menu toggles were added to initDatabase() after
+// the first deployments, whose CREATE TABLE IF NOT EXISTS never picked them up.
+const REGISTER_TOGGLES = [
+  ["gstEnabled", "FALSE"],
+  ["enableMrpPrice", "TRUE"],
+  ["enableWspPrice", "FALSE"],
+  ["enableSpPrice", "FALSE"],
+  ["enableBillMenu", "TRUE"],
+  ["enableInventoryMenu", "TRUE"],
+  ["enableBomMenu", "TRUE"],
+  ["enableReportsMenu", "TRUE"],
+  ["enableRenewalMenu", "TRUE"],
+];
+
+module.exports = {
+  async up(client) {
+    await client.query("ALTER TABLE products ADD COLUMN IF NOT EXISTS gst NUMERIC DEFAULT 0");
+    for (const [column, defaultValue] of REGISTER_TOGGLES) {
+      await client.query(`ALTER TABLE register ADD COLUMN IF NOT EXISTS ${column} BOOLEAN DEFAULT ${defaultValue}`);
+    }
+  },
+
+  async down(client) {
+    for (const [column] of REGISTER_TOGGLES) {
+      await client.query(`ALTER TABLE register DROP COLUMN IF EXISTS ${column}`);
+    }
+    await client.query("ALTER TABLE products DROP COLUMN IF EXISTS gst");
+  },
+};
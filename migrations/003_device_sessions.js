@@ -0,0 +1,46 @@
+const crypto = require("crypto");
+
+// Same scrypt$<salt>$<hash> format as hashPassword() in server.js. Migrations keep
+// their own copy so they never change behaviour when application code does.
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+module.exports = {
+  async up(client) {
+    // One row per issued device token
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS device_sessions (
+        id SERIAL PRIMARY KEY,
+        register_id INTEGER NOT NULL REFERENCES register(id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP
+      )
+    `);
+
+    // Edit passwords are stored hashed: drop the plaintext default and hash legacy rows.
+    // Rows still on the default are known to anyone, so they lose their password instead
+    // and can only be changed from their devices until the operator sets a new one.
+    await client.query("ALTER TABLE register ALTER COLUMN editPassword DROP DEFAULT");
+    await client.query("UPDATE register SET editPassword = NULL WHERE editPassword = 'paybean'");
+    const plaintextPasswords = await client.query(
+      "SELECT id, editPassword FROM register WHERE editPassword IS NOT NULL AND editPassword NOT LIKE 'scrypt$%'"
+    );
+    for (const row of plaintextPasswords.rows) {
+      await client.query("UPDATE register SET editPassword = $1 WHERE id = $2", [
+        hashPassword(row.editpassword),
+        row.id,
+      ]);
+    }
+  },
+
+  // Hashed passwords stay hashed; only the table and the old default come back
+  async down(client) {
+    await client.query("ALTER TABLE register ALTER COLUMN editPassword SET DEFAULT 'paybean'");
+    await client.query("DROP TABLE IF EXISTS device_sessions");
+  },
+};
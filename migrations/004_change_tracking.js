@@ -0,0 +1,73 @@
+// Change tracking for delta sync (GET /sync/changes). Every insert or update stamps the
+// row with the next value of one global sequence, and hard deletes leave a row in
+// sync_tombstones. Writers for a merchant are serialised until commit, so a device that
+// has seen change_seq N can never later miss a committed change below N.
+const TABLES = ["bills", "inventory", "products", "supply", "merchants", "production", "bill_of_material"];
+
+module.exports = {
+  async up(client) {
+    // bills predates updated_at on the other synced tables
+    await client.query("ALTER TABLE bills ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP");
+
+    await client.query("CREATE SEQUENCE IF NOT EXISTS sync_change_seq");
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sync_tombstones (
+        change_seq BIGINT PRIMARY KEY,
+        entity TEXT NOT NULL,
+        id INTEGER NOT NULL,
+        mid INTEGER NOT NULL,
+        deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS sync_tombstones_mid_idx ON sync_tombstones (mid, change_seq)");
+    await client.query(`
+      CREATE OR REPLACE FUNCTION sync_stamp_change() RETURNS trigger AS $$
+      BEGIN
+        PERFORM pg_advisory_xact_lock(hashtext('sync_change_seq'), NEW.mid);
+        NEW.change_seq := nextval('sync_change_seq');
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query(`
+      CREATE OR REPLACE FUNCTION sync_record_tombstone() RETURNS trigger AS $$
+      BEGIN
+        PERFORM pg_advisory_xact_lock(hashtext('sync_change_seq'), OLD.mid);
+        INSERT INTO sync_tombstones (change_seq, entity, id, mid)
+        VALUES (nextval('sync_change_seq'), TG_TABLE_NAME, OLD.id, OLD.mid);
+        RETURN OLD;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+
+    for (const table of TABLES) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS change_seq BIGINT`);
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_stamp_change ON ${table}`);
+      await client.query(`
+        CREATE TRIGGER ${table}_stamp_change BEFORE INSERT OR UPDATE ON ${table}
+        FOR EACH ROW EXECUTE FUNCTION sync_stamp_change()
+      `);
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_record_tombstone ON ${table}`);
+      await client.query(`
+        CREATE TRIGGER ${table}_record_tombstone AFTER DELETE ON ${table}
+        FOR EACH ROW EXECUTE FUNCTION sync_record_tombstone()
+      `);
+      // Rows written before change tracking existed get stamped by the trigger
+      await client.query(`UPDATE ${table} SET change_seq = NULL WHERE change_seq IS NULL`);
+      await client.query(`CREATE INDEX IF NOT EXISTS ${table}_mid_change_seq_idx ON ${table} (mid, change_seq)`);
+    }
+  },
+
+  async down(client) {
+    for (const table of TABLES) {
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_record_tombstone ON ${table}`);
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_stamp_change ON ${table}`);
+      await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS change_seq`);
+    }
+    await client.query("DROP FUNCTION IF EXISTS sync_record_tombstone()");
+    await client.query("DROP FUNCTION IF EXISTS sync_stamp_change()");
+    await client.query("DROP TABLE IF EXISTS sync_tombstones");
+    await client.query("DROP SEQUENCE IF EXISTS sync_change_seq");
+    await client.query("ALTER TABLE bills DROP COLUMN IF EXISTS updated_at");
+  },
+};
@@ -0,0 +1,16 @@
+// Soft delete: DELETE /sync/<entity>/:id sets deleted_at, sync reports the row as a tombstone
+const TABLES = ["bills", "inventory", "products", "supply", "merchants", "production", "bill_of_material"];
+
+module.exports = {
+  async up(client) {
+    for (const table of TABLES) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`);
+    }
+  },
+
+  async down(client) {
+    for (const table of TABLES) {
+      await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS deleted_at`);
+    }
+  },
+};
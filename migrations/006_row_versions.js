@@ -0,0 +1,37 @@
+// Optimistic concurrency: every synced row carries a version the database bumps on update
+const TABLES = ["bills", "inventory", "products", "supply", "merchants", "production", "bill_of_material"];
+
+module.exports = {
+  async up(client) {
+    for (const table of TABLES) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1`);
+    }
+    await client.query(`
+      CREATE OR REPLACE FUNCTION sync_stamp_change() RETURNS trigger AS $$
+      BEGIN
+        PERFORM pg_advisory_xact_lock(hashtext('sync_change_seq'), NEW.mid);
+        NEW.change_seq := nextval('sync_change_seq');
+        IF TG_OP = 'UPDATE' THEN
+          NEW.version := OLD.version + 1;
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      CREATE OR REPLACE FUNCTION sync_stamp_change() RETURNS trigger AS $$
+      BEGIN
+        PERFORM pg_advisory_xact_lock(hashtext('sync_change_seq'), NEW.mid);
+        NEW.change_seq := nextval('sync_change_seq');
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    for (const table of TABLES) {
+      await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS version`);
+    }
+  },
+};
@@ -0,0 +1,17 @@
+// Per-merchant ID counters, see nextId() in server.js
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS id_sequences (
+        mid INTEGER NOT NULL,
+        entity TEXT NOT NULL,
+        last_id INTEGER NOT NULL,
+        PRIMARY KEY (mid, entity)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE IF EXISTS id_sequences");
+  },
+};
@@ -0,0 +1,115 @@
+// Normalised bills: header figures on bills, one bill_items row per line. Existing bills
+// are decomposed with the same pure decomposeBill() POST /sync/bills uses; the SQL here
+// is kept local so later column additions to bills.js cannot break this migration.
+const { decomposeBill } = require("../bills");
+
+async function loadProducts(client, mid) {
+  const result = await client.query("SELECT id, name, gst FROM products WHERE mid = $1", [mid]);
+  const products = { byId: new Map(), byName: new Map() };
+  for (const product of result.rows) {
+    products.byId.set(product.id, product);
+    products.byName.set(product.name, product);
+  }
+  return products;
+}
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE bills
+        ADD COLUMN IF NOT EXISTS bill_date DATE,
+        ADD COLUMN IF NOT EXISTS customer_name TEXT,
+        ADD COLUMN IF NOT EXISTS subtotal NUMERIC DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS discount NUMERIC DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS taxable_value NUMERIC DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS gst_amount NUMERIC DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS total NUMERIC DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS tax_inclusive BOOLEAN DEFAULT TRUE
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS bills_mid_bill_date_idx ON bills (mid, bill_date)");
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bill_items (
+        bill_id INTEGER NOT NULL,
+        mid INTEGER NOT NULL,
+        line_no INTEGER NOT NULL,
+        product_id INTEGER,
+        name TEXT NOT NULL,
+        quantity NUMERIC NOT NULL,
+        unit_price NUMERIC NOT NULL,
+        discount NUMERIC DEFAULT 0,
+        gst_rate NUMERIC DEFAULT 0,
+        taxable_value NUMERIC NOT NULL,
+        gst_amount NUMERIC NOT NULL,
+        total NUMERIC NOT NULL,
+        PRIMARY KEY (bill_id, mid, line_no),
+        FOREIGN KEY (bill_id, mid) REFERENCES bills (id, mid) ON DELETE CASCADE,
+        FOREIGN KEY (product_id, mid) REFERENCES products (id, mid)
+      )
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS bill_items_product_idx ON bill_items (mid, product_id)");
+
+    const bills = await client.query("SELECT id, mid, data, created_at FROM bills");
+    for (const bill of bills.rows) {
+      if (bill.data === null || typeof bill.data !== "object") {
+        continue;
+      }
+      const { header, lines } = decomposeBill(bill.data, await loadProducts(client, bill.mid));
+      await client.query(
+        `UPDATE bills SET bill_date = COALESCE($1, created_at::date), customer_name = $2, subtotal = $3,
+          discount = $4, taxable_value = $5, gst_amount = $6, total = $7, tax_inclusive = $8
+        WHERE id = $9 AND mid = $10`,
+        [
+          header.billDate,
+          header.customerName,
+          header.subtotal,
+          header.discount,
+          header.taxableValue,
+          header.gstAmount,
+          header.total,
+          header.taxInclusive,
+          bill.id,
+          bill.mid,
+        ]
+      );
+      for (const line of lines) {
+        await client.query(
+          `INSERT INTO bill_items (
+            bill_id, mid, line_no, product_id, name, quantity, unit_price,
+            discount, gst_rate, taxable_value, gst_amount, total
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          ON CONFLICT (bill_id, mid, line_no) DO NOTHING`,
+          [
+            bill.id,
+            bill.mid,
+            line.lineNo,
+            line.productId,
+            line.name,
+            line.quantity,
+            line.unitPrice,
+            line.discount,
+            line.gstRate,
+            line.taxableValue,
+            line.gstAmount,
+            line.total,
+          ]
+        );
+      }
+    }
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE IF EXISTS bill_items");
+    await client.query(`
+      ALTER TABLE bills
+        DROP COLUMN IF EXISTS bill_date,
+        DROP COLUMN IF EXISTS customer_name,
+        DROP COLUMN IF EXISTS subtotal,
+        DROP COLUMN IF EXISTS discount,
+        DROP COLUMN IF EXISTS taxable_value,
+        DROP COLUMN IF EXISTS gst_amount,
+        DROP COLUMN IF EXISTS total,
+        DROP COLUMN IF EXISTS tax_inclusive
+    `);
+  },
+};
@@ -0,0 +1,14 @@
+// Payment mode on the bill header, for the payment breakdown report
+module.exports = {
+  async up(client) {
+    await client.query("ALTER TABLE bills ADD COLUMN IF NOT EXISTS payment_mode TEXT");
+    await client.query(`
+      UPDATE bills SET payment_mode = LOWER(COALESCE(data->>'paymentMode', data->>'paymentMethod'))
+      WHERE payment_mode IS NULL AND jsonb_typeof(data) = 'object'
+    `);
+  },
+
+  async down(client) {
+    await client.query("ALTER TABLE bills DROP COLUMN IF EXISTS payment_mode");
+  },
+};
@@ -0,0 +1,24 @@
+// HSN codes on products and bill lines; customer GSTIN and place of supply on bills
+module.exports = {
+  async up(client) {
+    await client.query("ALTER TABLE products ADD COLUMN IF NOT EXISTS hsn TEXT");
+    await client.query(`
+      ALTER TABLE bills
+        ADD COLUMN IF NOT EXISTS customer_gstin TEXT,
+        ADD COLUMN IF NOT EXISTS supply_state TEXT
+    `);
+    await client.query("ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS hsn TEXT");
+    await client.query(`
+      UPDATE bills SET
+        customer_gstin = NULLIF(UPPER(COALESCE(data->>'customerGstin', data->>'gstin')), ''),
+        supply_state = COALESCE(data->>'placeOfSupply', data->>'customerState')
+      WHERE jsonb_typeof(data) = 'object'
+    `);
+  },
+
+  async down(client) {
+    await client.query("ALTER TABLE bill_items DROP COLUMN IF EXISTS hsn");
+    await client.query("ALTER TABLE bills DROP COLUMN IF EXISTS customer_gstin, DROP COLUMN IF EXISTS supply_state");
+    await client.query("ALTER TABLE products DROP COLUMN IF EXISTS hsn");
+  },
+};
@@ -0,0 +1,181 @@
+// Stock ledger (see stock.js). Existing inventory snapshots become opening balances: each
+// item's count in the latest snapshot that counts it, whatever its merchant_name, is
+// posted as an "opening" movement on that snapshot's date, matched to products (by
+// productId or name) or else supply items (by name).
+// Bill sales and production output dated after an item's opening balance are replayed
+// so on-hand figures start out current. Parsing is kept local so this migration does not
+// change when stock.js does.
+
+function toQuantity(value) {
+  const number = Number(value);
+  return value === undefined || value === null || value === "" || !Number.isFinite(number) ? null : number;
+}
+
+function documentLines(doc) {
+  return [doc.items, doc.products, doc.rows].find(Array.isArray) || [];
+}
+
+async function loadItems(client, mid) {
+  const products = await client.query("SELECT id, name FROM products WHERE mid = $1", [mid]);
+  const supply = await client.query("SELECT id, name FROM supply WHERE mid = $1", [mid]);
+  return {
+    productsById: new Map(products.rows.map((row) => [row.id, row])),
+    productsByName: new Map(products.rows.map((row) => [row.name, row])),
+    supplyByName: new Map(supply.rows.map((row) => [row.name, row])),
+  };
+}
+
+function matchItem(items, row) {
+  const name = row.name ?? row.item ?? row.productName;
+  const product = items.productsById.get(Number(row.productId)) || items.productsByName.get(name);
+  if (product) {
+    return { itemType: "product", itemId: product.id };
+  }
+  const supply = items.supplyByName.get(name);
+  return supply ? { itemType: "supply", itemId: supply.id } : null;
+}
+
+async function postMovement(client, mid, movement) {
+  await client.query(
+    `INSERT INTO stock_movements (mid, item_type, item_id, movement_type, quantity, movement_date, source_type, source_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [mid, movement.itemType, movement.itemId, movement.movementType, movement.quantity, movement.date,
+      movement.sourceType, movement.sourceId]
+  );
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+async function importOpeningBalances(client) {
+  const snapshots = await client.query(`
+    SELECT id, mid, date, data, created_at::date AS created_on
+    FROM inventory
+    WHERE deleted_at IS NULL
+    ORDER BY mid, date DESC, id DESC
+  `);
+  const itemsByMid = new Map();
+  // Items already counted by a later snapshot of the same mid
+  const counted = new Set();
+  for (const snapshot of snapshots.rows) {
+    if (!Array.isArray(snapshot.data)) {
+      continue;
+    }
+    if (!itemsByMid.has(snapshot.mid)) {
+      itemsByMid.set(snapshot.mid, await loadItems(client, snapshot.mid));
+    }
+    const items = itemsByMid.get(snapshot.mid);
+    const date = ISO_DATE.test(snapshot.date) ? snapshot.date : snapshot.created_on;
+    const countedHere = new Set();
+    for (const row of snapshot.data) {
+      const item = row && typeof row === "object" ? matchItem(items, row) : null;
+      const key = item && `${snapshot.mid}:${item.itemType}:${item.itemId}`;
+      const quantity = item && toQuantity(row.quantity ?? row.qty ?? row.stock ?? row.closing ?? row.count);
+      if (quantity === null || counted.has(key)) {
+        continue;
+      }
+      countedHere.add(key);
+      if (quantity === 0) {
+        continue;
+      }
+      await postMovement(client, snapshot.mid, {
+        ...item,
+        movementType: "opening",
+        quantity,
+        date,
+        sourceType: "inventory",
+        sourceId: snapshot.id,
+      });
+    }
+    countedHere.forEach((key) => counted.add(key));
+  }
+}
+
+// Movements for an item only count after its opening balance, if it has one
+const AFTER_OPENING = `
+  NOT EXISTS (
+    SELECT 1 FROM stock_movements o
+    WHERE o.mid = $1 AND o.item_type = 'product' AND o.item_id = $2
+      AND o.movement_type = 'opening' AND o.movement_date >= $3
+  )`;
+
+async function replayProduction(client) {
+  const records = await client.query(
+    "SELECT id, mid, date, data FROM production WHERE deleted_at IS NULL ORDER BY mid, date"
+  );
+  const itemsByMid = new Map();
+  for (const record of records.rows) {
+    if (!record.data || typeof record.data !== "object" || !ISO_DATE.test(record.date)) {
+      continue;
+    }
+    if (!itemsByMid.has(record.mid)) {
+      itemsByMid.set(record.mid, await loadItems(client, record.mid));
+    }
+    const items = itemsByMid.get(record.mid);
+    for (const line of documentLines(record.data)) {
+      const item = line && typeof line === "object" ? matchItem(items, line) : null;
+      if (!item || item.itemType !== "product") {
+        continue;
+      }
+      const current = await client.query(`SELECT ${AFTER_OPENING} AS replay`, [record.mid, item.itemId, record.date]);
+      if (!current.rows[0].replay) {
+        continue;
+      }
+      const produced = toQuantity(line.quantity ?? line.qty ?? line.produced);
+      const wasted = toQuantity(line.wastage ?? line.wasted);
+      const source = { ...item, date: record.date, sourceType: "production", sourceId: record.id };
+      if (produced) {
+        await postMovement(client, record.mid, { ...source, movementType: "production", quantity: produced });
+      }
+      if (wasted) {
+        await postMovement(client, record.mid, { ...source, movementType: "wastage", quantity: -Math.abs(wasted) });
+      }
+    }
+  }
+}
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS stock_movements (
+        id BIGSERIAL PRIMARY KEY,
+        mid INTEGER NOT NULL,
+        item_type TEXT NOT NULL CHECK (item_type IN ('product', 'supply')),
+        item_id INTEGER NOT NULL,
+        movement_type TEXT NOT NULL,
+        quantity NUMERIC NOT NULL,
+        movement_date DATE NOT NULL DEFAULT CURRENT_DATE,
+        supplier TEXT,
+        note TEXT,
+        source_type TEXT,
+        source_id INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(
+      "CREATE INDEX IF NOT EXISTS stock_movements_item_idx ON stock_movements (mid, item_type, item_id, movement_date)"
+    );
+    await client.query(
+      "CREATE INDEX IF NOT EXISTS stock_movements_source_idx ON stock_movements (mid, source_type, source_id)"
+    );
+
+    await importOpeningBalances(client);
+
+    await client.query(`
+      INSERT INTO stock_movements (mid, item_type, item_id, movement_type, quantity, movement_date, source_type, source_id)
+      SELECT bi.mid, 'product', bi.product_id, 'sale', -bi.quantity, b.bill_date, 'bill', b.id
+      FROM bill_items bi
+      JOIN bills b ON b.id = bi.bill_id AND b.mid = bi.mid
+      WHERE b.deleted_at IS NULL AND bi.product_id IS NOT NULL AND bi.quantity <> 0
+        AND NOT EXISTS (
+          SELECT 1 FROM stock_movements o
+          WHERE o.mid = bi.mid AND o.item_type = 'product' AND o.item_id = bi.product_id
+            AND o.movement_type = 'opening' AND o.movement_date >= b.bill_date
+        )
+    `);
+    await replayProduction(client);
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE IF EXISTS stock_movements");
+  },
+};
@@ -0,0 +1,39 @@
+// Links recipes to products and records the material each production record required
+// and consumed (see bom.js); records posted before this migration have none. BOMs whose
+// data was stored as an empty Postgres array literal ({}) before data was sent as JSON
+// are repaired to [].
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE bill_of_material
+        ADD COLUMN IF NOT EXISTS product_id INTEGER,
+        ADD COLUMN IF NOT EXISTS yield_quantity NUMERIC NOT NULL DEFAULT 1
+    `);
+    await client.query(`
+      UPDATE bill_of_material b SET product_id = p.id
+      FROM products p
+      WHERE b.product_id IS NULL AND p.mid = b.mid AND p.name = b.name
+    `);
+    await client.query("UPDATE bill_of_material SET data = '[]'::jsonb WHERE data = '{}'::jsonb");
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS production_materials (
+        production_id INTEGER NOT NULL,
+        mid INTEGER NOT NULL,
+        supply_id INTEGER NOT NULL,
+        required NUMERIC NOT NULL DEFAULT 0,
+        consumed NUMERIC NOT NULL DEFAULT 0,
+        PRIMARY KEY (production_id, mid, supply_id),
+        FOREIGN KEY (production_id, mid) REFERENCES production (id, mid) ON DELETE CASCADE,
+        FOREIGN KEY (supply_id, mid) REFERENCES supply (id, mid)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE IF EXISTS production_materials");
+    await client.query(
+      "ALTER TABLE bill_of_material DROP COLUMN IF EXISTS product_id, DROP COLUMN IF EXISTS yield_quantity"
+    );
+  },
+};
@@ -0,0 +1,41 @@
+// Reorder settings on supply items and the low-stock alerts raised from them (see alerts.js)
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE supply
+        ADD COLUMN IF NOT EXISTS unit TEXT,
+        ADD COLUMN IF NOT EXISTS reorder_level NUMERIC,
+        ADD COLUMN IF NOT EXISTS reorder_quantity NUMERIC,
+        ADD COLUMN IF NOT EXISTS vendor TEXT
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS stock_alerts (
+        id SERIAL PRIMARY KEY,
+        mid INTEGER NOT NULL,
+        supply_id INTEGER NOT NULL,
+        level TEXT NOT NULL,
+        on_hand NUMERIC NOT NULL,
+        reorder_level NUMERIC NOT NULL,
+        raised_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        cleared_at TIMESTAMP,
+        FOREIGN KEY (supply_id, mid) REFERENCES supply (id, mid)
+      )
+    `);
+    // At most one open alert per supply item
+    await client.query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS stock_alerts_open_idx ON stock_alerts (mid, supply_id) WHERE cleared_at IS NULL"
+    );
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE IF EXISTS stock_alerts");
+    await client.query(`
+      ALTER TABLE supply
+        DROP COLUMN IF EXISTS unit,
+        DROP COLUMN IF EXISTS reorder_level,
+        DROP COLUMN IF EXISTS reorder_quantity,
+        DROP COLUMN IF EXISTS vendor
+    `);
+  },
+};
@@ -0,0 +1,100 @@
+// Purchase orders and goods-received notes (see purchasing.js), synced like the other
+// entities: per-merchant ids, change tracking, soft delete and row versions. Receipts
+// post into stock with their unit cost.
+const TABLES = ["purchase_orders", "goods_receipts"];
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS purchase_orders (
+        id INTEGER NOT NULL,
+        mid INTEGER NOT NULL,
+        po_number TEXT,
+        vendor TEXT NOT NULL,
+        order_date DATE NOT NULL DEFAULT CURRENT_DATE,
+        expected_date DATE,
+        status TEXT NOT NULL DEFAULT 'open',
+        total NUMERIC NOT NULL DEFAULT 0,
+        data JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        change_seq BIGINT,
+        deleted_at TIMESTAMP,
+        version INTEGER NOT NULL DEFAULT 1,
+        PRIMARY KEY (id, mid)
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS purchase_order_items (
+        po_id INTEGER NOT NULL,
+        mid INTEGER NOT NULL,
+        line_no INTEGER NOT NULL,
+        supply_id INTEGER NOT NULL,
+        quantity NUMERIC NOT NULL,
+        unit TEXT,
+        unit_price NUMERIC NOT NULL DEFAULT 0,
+        total NUMERIC NOT NULL DEFAULT 0,
+        PRIMARY KEY (po_id, mid, line_no),
+        FOREIGN KEY (po_id, mid) REFERENCES purchase_orders (id, mid) ON DELETE CASCADE,
+        FOREIGN KEY (supply_id, mid) REFERENCES supply (id, mid)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS goods_receipts (
+        id INTEGER NOT NULL,
+        mid INTEGER NOT NULL,
+        po_id INTEGER,
+        grn_number TEXT,
+        vendor TEXT NOT NULL,
+        receipt_date DATE NOT NULL DEFAULT CURRENT_DATE,
+        total NUMERIC NOT NULL DEFAULT 0,
+        data JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        change_seq BIGINT,
+        deleted_at TIMESTAMP,
+        version INTEGER NOT NULL DEFAULT 1,
+        PRIMARY KEY (id, mid),
+        FOREIGN KEY (po_id, mid) REFERENCES purchase_orders (id, mid)
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS goods_receipt_items (
+        grn_id INTEGER NOT NULL,
+        mid INTEGER NOT NULL,
+        line_no INTEGER NOT NULL,
+        supply_id INTEGER NOT NULL,
+        quantity NUMERIC NOT NULL,
+        unit_price NUMERIC NOT NULL DEFAULT 0,
+        total NUMERIC NOT NULL DEFAULT 0,
+        PRIMARY KEY (grn_id, mid, line_no),
+        FOREIGN KEY (grn_id, mid) REFERENCES goods_receipts (id, mid) ON DELETE CASCADE,
+        FOREIGN KEY (supply_id, mid) REFERENCES supply (id, mid)
+      )
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS goods_receipts_po_idx ON goods_receipts (mid, po_id)");
+
+    for (const table of TABLES) {
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_stamp_change ON ${table}`);
+      await client.query(`
+        CREATE TRIGGER ${table}_stamp_change BEFORE INSERT OR UPDATE ON ${table}
+        FOR EACH ROW EXECUTE FUNCTION sync_stamp_change()
+      `);
+      await client.query(`DROP TRIGGER IF EXISTS ${table}_record_tombstone ON ${table}`);
+      await client.query(`
+        CREATE TRIGGER ${table}_record_tombstone AFTER DELETE ON ${table}
+        FOR EACH ROW EXECUTE FUNCTION sync_record_tombstone()
+      `);
+      await client.query(`CREATE INDEX IF NOT EXISTS ${table}_mid_change_seq_idx ON ${table} (mid, change_seq)`);
+    }
+
+    await client.query("ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS unit_cost NUMERIC");
+  },
+
+  async down(client) {
+    await client.query("DELETE FROM stock_movements WHERE source_type = 'grn'");
+    await client.query("ALTER TABLE stock_movements DROP COLUMN IF EXISTS unit_cost");
+    await client.query("DROP TABLE IF EXISTS goods_receipt_items, goods_receipts, purchase_order_items, purchase_orders");
+  },
+};
@@ -0,0 +1,41 @@
+// Product variants (a size or flavour of a parent product) and the unit each bill line
+// was recorded in (see units.js)
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS parent_id INTEGER,
+        ADD COLUMN IF NOT EXISTS variant_name TEXT
+    `);
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'products_parent_fkey') THEN
+          ALTER TABLE products
+            ADD CONSTRAINT products_parent_fkey FOREIGN KEY (parent_id, mid) REFERENCES products (id, mid);
+        END IF;
+      END $$
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS products_parent_idx ON products (mid, parent_id)");
+
+    await client.query("ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS unit TEXT");
+    // Existing lines were recorded in their product's unit
+    await client.query(`
+      UPDATE bill_items bi
+      SET unit = p.metrics
+      FROM products p
+      WHERE bi.unit IS NULL AND p.id = bi.product_id AND p.mid = bi.mid
+    `);
+  },
+
+  async down(client) {
+    await client.query("ALTER TABLE bill_items DROP COLUMN IF EXISTS unit");
+    await client.query("ALTER TABLE products DROP CONSTRAINT IF EXISTS products_parent_fkey");
+    await client.query("DROP INDEX IF EXISTS products_parent_idx");
+    await client.query(`
+      ALTER TABLE products
+        DROP COLUMN IF EXISTS parent_id,
+        DROP COLUMN IF EXISTS variant_name
+    `);
+  },
+};
@@ -0,0 +1,34 @@
+// Batches (lots) of perishable stock with manufacture and expiry dates; movements into
+// and out of a batch carry its id (see batches.js)
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS stock_batches (
+        id SERIAL PRIMARY KEY,
+        mid INTEGER NOT NULL,
+        item_type TEXT NOT NULL CHECK (item_type IN ('product', 'supply')),
+        item_id INTEGER NOT NULL,
+        batch_number TEXT NOT NULL,
+        manufactured_on DATE,
+        expires_on DATE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (mid, item_type, item_id, batch_number)
+      )
+    `);
+    await client.query(
+      "CREATE INDEX IF NOT EXISTS stock_batches_expiry_idx ON stock_batches (mid, expires_on)"
+    );
+
+    await client.query(
+      "ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS batch_id INTEGER REFERENCES stock_batches (id)"
+    );
+    await client.query(
+      "CREATE INDEX IF NOT EXISTS stock_movements_batch_idx ON stock_movements (batch_id) WHERE batch_id IS NOT NULL"
+    );
+  },
+
+  async down(client) {
+    await client.query("ALTER TABLE stock_movements DROP COLUMN IF EXISTS batch_id");
+    await client.query("DROP TABLE IF EXISTS stock_batches");
+  },
+};
@@ -0,0 +1,46 @@
+// Named price lists with dated prices, and the price list each customer buys on (see
+// pricing.js)
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS price_lists (
+        id SERIAL PRIMARY KEY,
+        mid INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        base_price TEXT NOT NULL DEFAULT 'mrp' CHECK (base_price IN ('mrp', 'wsp', 'sp')),
+        is_default BOOLEAN NOT NULL DEFAULT FALSE,
+        note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (mid, name)
+      )
+    `);
+    // At most one default list per merchant
+    await client.query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS price_lists_default_idx ON price_lists (mid) WHERE is_default"
+    );
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS price_list_items (
+        id SERIAL PRIMARY KEY,
+        price_list_id INTEGER NOT NULL REFERENCES price_lists (id) ON DELETE CASCADE,
+        mid INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        price NUMERIC NOT NULL,
+        effective_from DATE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (price_list_id, product_id, effective_from),
+        FOREIGN KEY (product_id, mid) REFERENCES products (id, mid)
+      )
+    `);
+
+    await client.query(
+      "ALTER TABLE merchants ADD COLUMN IF NOT EXISTS price_list_id INTEGER REFERENCES price_lists (id)"
+    );
+  },
+
+  async down(client) {
+    await client.query("ALTER TABLE merchants DROP COLUMN IF EXISTS price_list_id");
+    await client.query("DROP TABLE IF EXISTS price_list_items, price_lists");
+  },
+};
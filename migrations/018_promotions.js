@@ -0,0 +1,62 @@
+// Promotions (see promotions.js), synced like the other entities: per-merchant ids,
+// change tracking, soft delete and row versions. Coupon redemptions are kept per bill so
+// usage limits can be enforced.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS promotions (
+        id INTEGER NOT NULL,
+        mid INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL,
+        code TEXT,
+        valid_from DATE,
+        valid_to DATE,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        priority INTEGER NOT NULL DEFAULT 0,
+        usage_limit INTEGER,
+        data JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        change_seq BIGINT,
+        deleted_at TIMESTAMP,
+        version INTEGER NOT NULL DEFAULT 1,
+        PRIMARY KEY (id, mid)
+      )
+    `);
+    // Coupon codes are unique among a merchant's live promotions, ignoring case
+    await client.query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS promotions_code_idx ON promotions (mid, UPPER(code)) WHERE code IS NOT NULL AND deleted_at IS NULL"
+    );
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS promotion_redemptions (
+        id SERIAL PRIMARY KEY,
+        mid INTEGER NOT NULL,
+        promotion_id INTEGER NOT NULL,
+        bill_id INTEGER NOT NULL,
+        amount NUMERIC NOT NULL DEFAULT 0,
+        redeemed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (mid, bill_id),
+        FOREIGN KEY (promotion_id, mid) REFERENCES promotions (id, mid),
+        FOREIGN KEY (bill_id, mid) REFERENCES bills (id, mid) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query("DROP TRIGGER IF EXISTS promotions_stamp_change ON promotions");
+    await client.query(`
+      CREATE TRIGGER promotions_stamp_change BEFORE INSERT OR UPDATE ON promotions
+      FOR EACH ROW EXECUTE FUNCTION sync_stamp_change()
+    `);
+    await client.query("DROP TRIGGER IF EXISTS promotions_record_tombstone ON promotions");
+    await client.query(`
+      CREATE TRIGGER promotions_record_tombstone AFTER DELETE ON promotions
+      FOR EACH ROW EXECUTE FUNCTION sync_record_tombstone()
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS promotions_mid_change_seq_idx ON promotions (mid, change_seq)");
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE IF EXISTS promotion_redemptions, promotions");
+  },
+};
@@ -0,0 +1,79 @@
+// Customer profiles and receivables (see ledger.js): contact, GSTIN and credit limit on
+// merchants, the customer each bill was made out to, and payments received, synced like
+// the other entities.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE merchants
+        ADD COLUMN IF NOT EXISTS gstin TEXT,
+        ADD COLUMN IF NOT EXISTS phone TEXT,
+        ADD COLUMN IF NOT EXISTS email TEXT,
+        ADD COLUMN IF NOT EXISTS address TEXT,
+        ADD COLUMN IF NOT EXISTS state TEXT,
+        ADD COLUMN IF NOT EXISTS credit_limit NUMERIC
+    `);
+
+    await client.query("ALTER TABLE bills ADD COLUMN IF NOT EXISTS customer_id INTEGER");
+    // Existing bills are linked to customers by name
+    await client.query(`
+      UPDATE bills b
+      SET customer_id = m.id
+      FROM merchants m
+      WHERE b.customer_id IS NULL AND m.mid = b.mid AND m.name = b.customer_name
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS bills_customer_idx ON bills (mid, customer_id)");
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS customer_payments (
+        id INTEGER NOT NULL,
+        mid INTEGER NOT NULL,
+        customer_id INTEGER NOT NULL,
+        payment_date DATE NOT NULL DEFAULT CURRENT_DATE,
+        amount NUMERIC NOT NULL,
+        mode TEXT,
+        reference TEXT,
+        note TEXT,
+        data JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        change_seq BIGINT,
+        deleted_at TIMESTAMP,
+        version INTEGER NOT NULL DEFAULT 1,
+        PRIMARY KEY (id, mid),
+        FOREIGN KEY (customer_id, mid) REFERENCES merchants (id, mid)
+      )
+    `);
+    await client.query(
+      "CREATE INDEX IF NOT EXISTS customer_payments_customer_idx ON customer_payments (mid, customer_id, payment_date)"
+    );
+
+    await client.query("DROP TRIGGER IF EXISTS customer_payments_stamp_change ON customer_payments");
+    await client.query(`
+      CREATE TRIGGER customer_payments_stamp_change BEFORE INSERT OR UPDATE ON customer_payments
+      FOR EACH ROW EXECUTE FUNCTION sync_stamp_change()
+    `);
+    await client.query("DROP TRIGGER IF EXISTS customer_payments_record_tombstone ON customer_payments");
+    await client.query(`
+      CREATE TRIGGER customer_payments_record_tombstone AFTER DELETE ON customer_payments
+      FOR EACH ROW EXECUTE FUNCTION sync_record_tombstone()
+    `);
+    await client.query(
+      "CREATE INDEX IF NOT EXISTS customer_payments_mid_change_seq_idx ON customer_payments (mid, change_seq)"
+    );
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE IF EXISTS customer_payments");
+    await client.query("DROP INDEX IF EXISTS bills_customer_idx");
+    await client.query("ALTER TABLE bills DROP COLUMN IF EXISTS customer_id");
+    await client.query(`
+      ALTER TABLE merchants
+        DROP COLUMN IF EXISTS gstin,
+        DROP COLUMN IF EXISTS phone,
+        DROP COLUMN IF EXISTS email,
+        DROP COLUMN IF EXISTS address,
+        DROP COLUMN IF EXISTS state,
+        DROP COLUMN IF EXISTS credit_limit
+    `);
+  },
+};
@@ -0,0 +1,81 @@
+// Payment tenders per bill, register shifts with opening float and counted takings, and
+// the shortfalls and overages found at close (see tenders.js and shifts.js). Existing
+// bills get one tender for their total from their payment mode. Mode matching is kept
+// local so this migration does not change when tenders.js does.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bill_tenders (
+        bill_id INTEGER NOT NULL,
+        mid INTEGER NOT NULL,
+        line_no INTEGER NOT NULL,
+        tender TEXT NOT NULL CHECK (tender IN ('cash', 'upi', 'card', 'credit', 'other')),
+        amount NUMERIC NOT NULL,
+        reference TEXT,
+        PRIMARY KEY (bill_id, mid, line_no),
+        FOREIGN KEY (bill_id, mid) REFERENCES bills (id, mid) ON DELETE CASCADE
+      )
+    `);
+    await client.query(`
+      INSERT INTO bill_tenders (bill_id, mid, line_no, tender, amount)
+      SELECT id, mid, 1,
+        CASE
+          WHEN LOWER(TRIM(payment_mode)) = 'credit' THEN 'credit'
+          WHEN LOWER(payment_mode) ~ '(upi|gpay|google pay|phonepe|paytm|bhim)' THEN 'upi'
+          WHEN LOWER(payment_mode) LIKE '%card%' THEN 'card'
+          WHEN payment_mode IS NULL OR TRIM(payment_mode) = '' OR LOWER(payment_mode) LIKE '%cash%' THEN 'cash'
+          ELSE 'other'
+        END,
+        COALESCE(total, 0)
+      FROM bills
+      ON CONFLICT DO NOTHING
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS shifts (
+        id SERIAL PRIMARY KEY,
+        mid INTEGER NOT NULL,
+        register_id INTEGER NOT NULL,
+        device_id INTEGER NOT NULL REFERENCES device_sessions (id),
+        business_date DATE NOT NULL DEFAULT CURRENT_DATE,
+        opening_float NUMERIC NOT NULL DEFAULT 0,
+        opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        opened_by TEXT,
+        closed_at TIMESTAMP,
+        closed_by TEXT,
+        expected JSONB,
+        counted JSONB,
+        note TEXT
+      )
+    `);
+    // One open shift per device; a merchant's devices all share its register row
+    await client.query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS shifts_open_idx ON shifts (mid, device_id) WHERE closed_at IS NULL"
+    );
+    await client.query("CREATE INDEX IF NOT EXISTS shifts_date_idx ON shifts (mid, business_date)");
+
+    await client.query("ALTER TABLE bills ADD COLUMN IF NOT EXISTS shift_id INTEGER REFERENCES shifts (id)");
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS shift_discrepancies (
+        id SERIAL PRIMARY KEY,
+        mid INTEGER NOT NULL,
+        shift_id INTEGER NOT NULL REFERENCES shifts (id),
+        tender TEXT NOT NULL,
+        expected NUMERIC NOT NULL,
+        counted NUMERIC NOT NULL,
+        difference NUMERIC NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        reviewed_at TIMESTAMP,
+        reviewed_by TEXT,
+        review_note TEXT
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE IF EXISTS shift_discrepancies");
+    await client.query("ALTER TABLE bills DROP COLUMN IF EXISTS shift_id");
+    await client.query("DROP TABLE IF EXISTS shifts, bill_tenders");
+  },
+};
@@ -0,0 +1,75 @@
+// Returns against bills, each a numbered credit note with the returned lines and their
+// GST (see returns.js), synced like the other entities.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bill_returns (
+        id INTEGER NOT NULL,
+        mid INTEGER NOT NULL,
+        bill_id INTEGER NOT NULL,
+        credit_note_number TEXT NOT NULL,
+        return_date DATE NOT NULL DEFAULT CURRENT_DATE,
+        customer_id INTEGER,
+        shift_id INTEGER REFERENCES shifts (id),
+        reason TEXT,
+        restock BOOLEAN NOT NULL DEFAULT TRUE,
+        refund_mode TEXT NOT NULL CHECK (refund_mode IN ('cash', 'upi', 'card', 'credit', 'other')),
+        subtotal NUMERIC NOT NULL DEFAULT 0,
+        discount NUMERIC NOT NULL DEFAULT 0,
+        taxable_value NUMERIC NOT NULL DEFAULT 0,
+        gst_amount NUMERIC NOT NULL DEFAULT 0,
+        total NUMERIC NOT NULL DEFAULT 0,
+        data JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        change_seq BIGINT,
+        deleted_at TIMESTAMP,
+        version INTEGER NOT NULL DEFAULT 1,
+        PRIMARY KEY (id, mid),
+        UNIQUE (mid, credit_note_number),
+        FOREIGN KEY (bill_id, mid) REFERENCES bills (id, mid)
+      )
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS bill_returns_bill_idx ON bill_returns (mid, bill_id)");
+    await client.query("CREATE INDEX IF NOT EXISTS bill_returns_date_idx ON bill_returns (mid, return_date)");
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bill_return_items (
+        return_id INTEGER NOT NULL,
+        mid INTEGER NOT NULL,
+        line_no INTEGER NOT NULL,
+        bill_line_no INTEGER NOT NULL,
+        product_id INTEGER,
+        name TEXT,
+        quantity NUMERIC NOT NULL,
+        unit TEXT,
+        unit_price NUMERIC NOT NULL DEFAULT 0,
+        discount NUMERIC NOT NULL DEFAULT 0,
+        gst_rate NUMERIC NOT NULL DEFAULT 0,
+        taxable_value NUMERIC NOT NULL DEFAULT 0,
+        gst_amount NUMERIC NOT NULL DEFAULT 0,
+        total NUMERIC NOT NULL DEFAULT 0,
+        hsn TEXT,
+        PRIMARY KEY (return_id, mid, line_no),
+        FOREIGN KEY (return_id, mid) REFERENCES bill_returns (id, mid) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query("DROP TRIGGER IF EXISTS bill_returns_stamp_change ON bill_returns");
+    await client.query(`
+      CREATE TRIGGER bill_returns_stamp_change BEFORE INSERT OR UPDATE ON bill_returns
+      FOR EACH ROW EXECUTE FUNCTION sync_stamp_change()
+    `);
+    await client.query("DROP TRIGGER IF EXISTS bill_returns_record_tombstone ON bill_returns");
+    await client.query(`
+      CREATE TRIGGER bill_returns_record_tombstone AFTER DELETE ON bill_returns
+      FOR EACH ROW EXECUTE FUNCTION sync_record_tombstone()
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS bill_returns_mid_change_seq_idx ON bill_returns (mid, change_seq)");
+  },
+
+  async down(client) {
+    await client.query("DELETE FROM stock_movements WHERE source_type = 'return'");
+    await client.query("DROP TABLE IF EXISTS bill_return_items, bill_returns");
+  },
+};
@@ -0,0 +1,80 @@
+// Server-issued invoice and credit note numbers (see numbering.js): one series per
+// merchant, prefix and financial year, blocks of numbers reserved for devices billing
+// offline, and the number each bill and credit note was issued. Blocks and bills belong
+// to the device (device_sessions row) that reserved or made them, since every device of
+// a merchant shares its register row. Existing bills keep the number they were sent with
+// (or their id) outside any series, and no device; existing credit notes keep theirs.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS invoice_series (
+        id SERIAL PRIMARY KEY,
+        mid INTEGER NOT NULL,
+        document_type TEXT NOT NULL CHECK (document_type IN ('invoice', 'credit_note')),
+        prefix TEXT NOT NULL,
+        financial_year TEXT NOT NULL,
+        last_number INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (mid, prefix, financial_year)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS invoice_number_blocks (
+        id SERIAL PRIMARY KEY,
+        mid INTEGER NOT NULL,
+        series_id INTEGER NOT NULL REFERENCES invoice_series (id),
+        device_id INTEGER NOT NULL REFERENCES device_sessions (id),
+        first_number INTEGER NOT NULL,
+        last_number INTEGER NOT NULL,
+        reserved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        released_at TIMESTAMP
+      )
+    `);
+    await client.query(
+      "CREATE INDEX IF NOT EXISTS invoice_number_blocks_device_idx ON invoice_number_blocks (mid, device_id)"
+    );
+
+    await client.query(`
+      ALTER TABLE bills
+        ADD COLUMN IF NOT EXISTS invoice_number TEXT,
+        ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES invoice_series (id),
+        ADD COLUMN IF NOT EXISTS series_number INTEGER,
+        ADD COLUMN IF NOT EXISTS register_id INTEGER,
+        ADD COLUMN IF NOT EXISTS device_id INTEGER
+    `);
+    await client.query(
+      "UPDATE bills SET invoice_number = COALESCE(NULLIF(data->>'billNumber', ''), id::text) WHERE invoice_number IS NULL"
+    );
+    await client.query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS bills_series_number_idx ON bills (series_id, series_number) WHERE series_id IS NOT NULL"
+    );
+
+    await client.query(`
+      ALTER TABLE bill_returns
+        ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES invoice_series (id),
+        ADD COLUMN IF NOT EXISTS series_number INTEGER
+    `);
+    await client.query(
+      `CREATE UNIQUE INDEX IF NOT EXISTS bill_returns_series_number_idx ON bill_returns (series_id, series_number)
+      WHERE series_id IS NOT NULL`
+    );
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE bill_returns
+        DROP COLUMN IF EXISTS series_id,
+        DROP COLUMN IF EXISTS series_number
+    `);
+    await client.query(`
+      ALTER TABLE bills
+        DROP COLUMN IF EXISTS invoice_number,
+        DROP COLUMN IF EXISTS series_id,
+        DROP COLUMN IF EXISTS series_number,
+        DROP COLUMN IF EXISTS register_id,
+        DROP COLUMN IF EXISTS device_id
+    `);
+    await client.query("DROP TABLE IF EXISTS invoice_number_blocks, invoice_series");
+  },
+};
@@ -0,0 +1,23 @@
+// Each merchant's printed invoice layout (see invoice.js): header and footer text, the
+// GSTIN printed on tax invoices and a PNG logo with its size.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS invoice_layouts (
+        mid INTEGER PRIMARY KEY,
+        header_text TEXT,
+        footer_text TEXT,
+        gstin TEXT,
+        logo BYTEA,
+        logo_width INTEGER,
+        logo_height INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE IF EXISTS invoice_layouts");
+  },
+};
@@ -0,0 +1,175 @@
+// Invoice numbering. The server issues every bill and credit note a number from a series
+// per merchant, prefix and financial year (April to March): the prefix, the year and a
+// sequence without gaps, e.g. INV/2026-27/42. A number is taken in the transaction that
+// saves its document, so a failed save gives it back.
+//
+// A device that bills offline reserves a block of numbers beforehand and sends each bill
+// with one of them as invoiceNumber. Releasing the block gives its unused numbers back to
+// the series when nothing was issued after them; otherwise they stay cancelled, and the
+// series summary reports them with the voided documents, as GSTR-1 table 13 asks.
+const { ValidationError } = require("./validation");
+
+// Document types and their default prefixes
+const DOCUMENT_TYPES = { invoice: "INV/", credit_note: "CN/" };
+
+const DOCUMENT_TABLES = { invoice: "bills", credit_note: "bill_returns" };
+
+const NUMBER_FORMAT = /^(.*)(\d{4}-\d{2})\/(\d+)$/;
+
+// '2026-10-19' -> '2026-27'
+function financialYear(date) {
+  const [year, month] = String(date).split("-").map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+}
+
+function formatNumber(series, number) {
+  return `${series.prefix}${series.financial_year}/${number}`;
+}
+
+async function documentDate(db, date) {
+  if (date) {
+    return date;
+  }
+  const result = await db.query("SELECT CURRENT_DATE AS today");
+  return result.rows[0].today;
+}
+
+// Take count numbers from the series for a prefix and date, creating it on first use;
+// the series row stays locked until the transaction ends
+async function takeNumbers(db, mid, documentType, { prefix, date, count = 1 }) {
+  const otherType = Object.keys(DOCUMENT_TYPES).find((type) => type !== documentType && DOCUMENT_TYPES[type] === prefix);
+  if (otherType) {
+    throw new ValidationError([{ field: "prefix", message: `is kept for ${otherType.replace("_", " ")}s` }]);
+  }
+  const year = financialYear(await documentDate(db, date));
+  const result = await db.query(
+    `INSERT INTO invoice_series (mid, document_type, prefix, financial_year, last_number)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (mid, prefix, financial_year) DO UPDATE SET last_number = invoice_series.last_number + $5
+    RETURNING *`,
+    [mid, documentType, prefix || DOCUMENT_TYPES[documentType], year, count]
+  );
+  const series = result.rows[0];
+  if (series.document_type !== documentType) {
+    throw new ValidationError([{ field: "prefix", message: `is already used for ${series.document_type.replace("_", " ")}s` }]);
+  }
+  return { series, first: series.last_number - count + 1 };
+}
+
+// The next number of a series for a document saved in the same transaction
+async function issueNumber(db, mid, documentType, { prefix, date } = {}) {
+  const { series, first } = await takeNumbers(db, mid, documentType, { prefix, date });
+  return { seriesId: series.id, seriesNumber: first, number: formatNumber(series, first) };
+}
+
+// A block of count numbers for a device to issue offline
+async function reserveBlock(db, mid, deviceId, documentType, { prefix, date, count }) {
+  const { series, first } = await takeNumbers(db, mid, documentType, { prefix, date, count });
+  const block = await db.query(
+    `INSERT INTO invoice_number_blocks (mid, series_id, device_id, first_number, last_number)
+    VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [mid, series.id, deviceId, first, series.last_number]
+  );
+  return {
+    ...block.rows[0],
+    document_type: documentType,
+    prefix: series.prefix,
+    financial_year: series.financial_year,
+    first: formatNumber(series, first),
+    last: formatNumber(series, series.last_number),
+  };
+}
+
+// A number a device issued offline from one of its open blocks
+async function claimReservedNumber(db, mid, deviceId, documentType, number) {
+  const match = NUMBER_FORMAT.exec(number);
+  const result = match && await db.query(
+    `SELECT s.* FROM invoice_series s
+    JOIN invoice_number_blocks b ON b.series_id = s.id
+    WHERE s.mid = $1 AND s.document_type = $2 AND s.prefix = $3 AND s.financial_year = $4
+      AND b.device_id = $5 AND b.released_at IS NULL AND $6 BETWEEN b.first_number AND b.last_number`,
+    [mid, documentType, match[1], match[2], deviceId, Number(match[3])]
+  );
+  if (!result || result.rows.length === 0) {
+    throw new ValidationError([{ field: "invoiceNumber", message: "is not in a block reserved for this device" }]);
+  }
+
+  const series = result.rows[0];
+  const seriesNumber = Number(match[3]);
+  const used = await db.query(
+    `SELECT id FROM ${DOCUMENT_TABLES[documentType]} WHERE series_id = $1 AND series_number = $2`,
+    [series.id, seriesNumber]
+  );
+  if (used.rows.length > 0) {
+    throw new ValidationError([{ field: "invoiceNumber", message: "is already used" }]);
+  }
+  return { seriesId: series.id, seriesNumber, number: formatNumber(series, seriesNumber) };
+}
+
+// Close a block. When it is still the end of its series, the numbers after the last one
+// used go back to the series; returns the block and how many numbers went back.
+async function releaseBlock(db, block) {
+  const seriesResult = await db.query("SELECT * FROM invoice_series WHERE id = $1 FOR UPDATE", [block.series_id]);
+  const series = seriesResult.rows[0];
+  let lastNumber = block.last_number;
+  if (series.last_number === block.last_number) {
+    const used = await db.query(
+      `SELECT MAX(series_number) AS highest FROM ${DOCUMENT_TABLES[series.document_type]}
+      WHERE series_id = $1 AND series_number BETWEEN $2 AND $3`,
+      [series.id, block.first_number, block.last_number]
+    );
+    lastNumber = used.rows[0].highest ?? block.first_number - 1;
+    await db.query("UPDATE invoice_series SET last_number = $2 WHERE id = $1", [series.id, lastNumber]);
+  }
+  const released = await db.query(
+    "UPDATE invoice_number_blocks SET released_at = CURRENT_TIMESTAMP, last_number = $2 WHERE id = $1 RETURNING *",
+    [block.id, lastNumber]
+  );
+  return { block: released.rows[0], returned: block.last_number - lastNumber };
+}
+
+// Every series with its range and how its numbers were used: issued to live documents,
+// cancelled (voided documents and numbers given up with a block), or still reserved in
+// open blocks
+async function seriesSummary(db, mid, { financialYear: year } = {}) {
+  const result = await db.query(
+    `SELECT s.*, COALESCE(d.issued, 0)::integer AS issued, COALESCE(d.voided, 0)::integer AS voided,
+      COALESCE((
+        SELECT SUM(b.last_number - b.first_number + 1 - (
+          SELECT COUNT(*) FROM (
+            SELECT series_id, series_number FROM bills UNION ALL SELECT series_id, series_number FROM bill_returns
+          ) u WHERE u.series_id = s.id AND u.series_number BETWEEN b.first_number AND b.last_number
+        ))
+        FROM invoice_number_blocks b WHERE b.series_id = s.id AND b.released_at IS NULL
+      ), 0)::integer AS reserved
+    FROM invoice_series s
+    LEFT JOIN (
+      SELECT series_id, COUNT(*) FILTER (WHERE deleted_at IS NULL) AS issued,
+        COUNT(*) FILTER (WHERE deleted_at IS NOT NULL) AS voided
+      FROM (
+        SELECT series_id, deleted_at FROM bills UNION ALL SELECT series_id, deleted_at FROM bill_returns
+      ) documents
+      GROUP BY series_id
+    ) d ON d.series_id = s.id
+    WHERE s.mid = $1 AND ($2::text IS NULL OR s.financial_year = $2)
+    ORDER BY s.financial_year DESC, s.document_type, s.prefix`,
+    [mid, year || null]
+  );
+  return result.rows.map((series) => ({
+    ...series,
+    first: series.last_number > 0 ? formatNumber(series, 1) : null,
+    last: series.last_number > 0 ? formatNumber(series, series.last_number) : null,
+    cancelled: series.last_number - series.issued - series.reserved,
+  }));
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  financialYear,
+  issueNumber,
+  reserveBlock,
+  claimReservedNumber,
+  releaseBlock,
+  seriesSummary,
+};
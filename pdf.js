@@ -0,0 +1,159 @@
+// A small PDF writer for the printable documents (see invoice.js): pages of text in the
+// standard Helvetica faces, rules and RGB images. Positions are in points from the top
+// left of an A4 page; text is set in WinAnsi, so characters outside Latin-1 print as "?".
+const zlib = require("zlib");
+
+const A4 = { width: 595.28, height: 841.89 };
+
+// Advance widths of characters 32-126 in thousandths of the font size
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+function latin1(value) {
+  return String(value ?? "").replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+}
+
+function textWidth(value, size, bold = false) {
+  const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+  let width = 0;
+  for (const char of latin1(value)) {
+    width += widths[char.charCodeAt(0) - 32] ?? 556;
+  }
+  return (width * size) / 1000;
+}
+
+function pdfString(value) {
+  return `(${latin1(value).replace(/[\\()]/g, "\\$&")})`;
+}
+
+function number(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+// A document builder: addPage(), then text(), rule() and image() on the current page
+function createPdf() {
+  const pages = [];
+  const images = [];
+
+  const current = () => pages[pages.length - 1];
+  const toPdfY = (y) => A4.height - y;
+
+  return {
+    width: A4.width,
+    height: A4.height,
+    textWidth,
+
+    addPage() {
+      pages.push({ operations: [], images: new Set() });
+    },
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    // Text with its baseline at y; align right or center puts x at that edge or middle
+    text(x, y, value, { size = 10, bold = false, align = "left" } = {}) {
+      const width = textWidth(value, size, bold);
+      const left = align === "right" ? x - width : align === "center" ? x - width / 2 : x;
+      current().operations.push(
+        `BT /${bold ? "F2" : "F1"} ${number(size)} Tf ${number(left)} ${number(toPdfY(y))} Td ${pdfString(latin1(value))} Tj ET`
+      );
+    },
+
+    rule(x1, y1, x2, y2, lineWidth = 0.5) {
+      current().operations.push(
+        `${number(lineWidth)} w ${number(x1)} ${number(toPdfY(y1))} m ${number(x2)} ${number(toPdfY(y2))} l S`
+      );
+    },
+
+    // An image of { width, height, rgb } drawn into the box with its top left at x, y
+    image(picture, x, y, width, height) {
+      let index = images.indexOf(picture);
+      if (index === -1) {
+        images.push(picture);
+        index = images.length - 1;
+      }
+      current().images.add(index);
+      current().operations.push(
+        `q ${number(width)} 0 0 ${number(height)} ${number(x)} ${number(toPdfY(y + height))} cm /Im${index} Do Q`
+      );
+    },
+
+    toBuffer() {
+      // Objects: 1 catalog, 2 page tree, 3-4 fonts, then the images, then each page and its content
+      const objects = [];
+      const imageBase = 5;
+      const pageBase = imageBase + images.length;
+      const pageIds = pages.map((page, index) => pageBase + index * 2);
+
+      objects.push("<< /Type /Catalog /Pages 2 0 R >>");
+      objects.push(`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+      objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+      for (const picture of images) {
+        const data = zlib.deflateSync(picture.rgb);
+        objects.push([
+          `<< /Type /XObject /Subtype /Image /Width ${picture.width} /Height ${picture.height} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /FlateDecode /Length ${data.length} >>\nstream\n`,
+          data,
+          "\nendstream",
+        ]);
+      }
+      pages.forEach((page, index) => {
+        const xObjects = [...page.images].map((image) => `/Im${image} ${imageBase + image} 0 R`).join(" ");
+        objects.push(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${A4.width} ${A4.height}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << ${xObjects} >> >> ` +
+            `/Contents ${pageIds[index] + 1} 0 R >>`
+        );
+        const content = zlib.deflateSync(Buffer.from(page.operations.join("\n"), "latin1"));
+        objects.push([`<< /Filter /FlateDecode /Length ${content.length} >>\nstream\n`, content, "\nendstream"]);
+      });
+
+      const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+      let length = chunks[0].length;
+      const offsets = [];
+      objects.forEach((object, index) => {
+        offsets.push(length);
+        const parts = [`${index + 1} 0 obj\n`, ...(Array.isArray(object) ? object : [object]), "\nendobj\n"];
+        for (const part of parts) {
+          const chunk = Buffer.isBuffer(part) ? part : Buffer.from(part, "latin1");
+          chunks.push(chunk);
+          length += chunk.length;
+        }
+      });
+
+      const xref = [
+        "xref",
+        `0 ${objects.length + 1}`,
+        "0000000000 65535 f ",
+        ...offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n `),
+        "trailer",
+        `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+        "startxref",
+        String(length),
+        "%%EOF",
+      ];
+      chunks.push(Buffer.from(`${xref.join("\n")}\n`, "latin1"));
+      return Buffer.concat(chunks);
+    },
+  };
+}
+
+module.exports = { createPdf, textWidth };
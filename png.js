@@ -0,0 +1,115 @@
+// PNG decoding for merchant logos (see invoice.js). Handles the non-interlaced 8-bit
+// images that logo tools export: greyscale, RGB, palette, each with or without alpha.
+// Pixels come back as RGBA, four bytes per pixel, rows top to bottom.
+const zlib = require("zlib");
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Bytes per pixel by colour type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) {
+    return left;
+  }
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+// Undo the per-row filters; returns the raw scanlines without filter bytes
+function unfilter(data, width, height, bpp) {
+  const stride = width * bpp;
+  const raw = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)];
+    const row = data.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bpp ? raw[y * stride + x - bpp] : 0;
+      const up = y > 0 ? raw[(y - 1) * stride + x] : 0;
+      const upLeft = x >= bpp && y > 0 ? raw[(y - 1) * stride + x - bpp] : 0;
+      const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+      if (predictor === undefined) {
+        throw new Error(`unknown PNG filter ${filter}`);
+      }
+      raw[y * stride + x] = (row[x] + predictor) & 0xff;
+    }
+  }
+  return raw;
+}
+
+// { width, height, pixels } from a PNG file; throws on anything it cannot read
+function decodePng(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error("not a PNG image");
+  }
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const data = [];
+  for (let offset = 8; offset + 8 <= buffer.length; ) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colourType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === "PLTE") {
+      palette = chunk;
+    } else if (type === "tRNS") {
+      transparency = chunk;
+    } else if (type === "IDAT") {
+      data.push(chunk);
+    } else if (type === "IEND") {
+      break;
+    }
+    offset += length + 12;
+  }
+  if (!header || header.bitDepth !== 8 || header.interlace !== 0 || !CHANNELS[header.colourType]) {
+    throw new Error("only non-interlaced 8-bit PNG images are supported");
+  }
+
+  const { width, height, colourType } = header;
+  const bpp = CHANNELS[colourType];
+  const raw = unfilter(zlib.inflateSync(Buffer.concat(data)), width, height, bpp);
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const source = raw.subarray(i * bpp, i * bpp + bpp);
+    let rgba;
+    if (colourType === 0) {
+      rgba = [source[0], source[0], source[0], 255];
+    } else if (colourType === 2) {
+      rgba = [source[0], source[1], source[2], 255];
+    } else if (colourType === 3) {
+      const index = source[0];
+      rgba = [palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2], transparency && index < transparency.length ? transparency[index] : 255];
+    } else if (colourType === 4) {
+      rgba = [source[0], source[0], source[0], source[1]];
+    } else {
+      rgba = [source[0], source[1], source[2], source[3]];
+    }
+    pixels.set(rgba, i * 4);
+  }
+  return { width, height, pixels };
+}
+
+// RGB bytes with transparency flattened onto white paper
+function flattenOnWhite(image) {
+  const rgb = Buffer.alloc(image.width * image.height * 3);
+  for (let i = 0; i < image.width * image.height; i++) {
+    const alpha = image.pixels[i * 4 + 3] / 255;
+    for (let c = 0; c < 3; c++) {
+      rgb[i * 3 + c] = Math.round(image.pixels[i * 4 + c] * alpha + 255 * (1 - alpha));
+    }
+  }
+  return rgb;
+}
+
+module.exports = { decodePng, flattenOnWhite };
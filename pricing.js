@@ -0,0 +1,134 @@
+// Price lists. A merchant keeps named price lists (retail, wholesale, one per large
+// customer), each holding dated prices for products: a price applies from its
+// effective_from date until the next one for the same product on that list, so a
+// future-dated price is a scheduled price change. A product with no price on a list is
+// sold at the product column the list is based on (base_price: mrp, wsp or sp).
+//
+// A customer (a merchants row) buys on its price_list_id, else on the merchant's default
+// list; with neither, prices are the products' MRPs. Bill lines sent without a price are
+// charged the customer's price on the bill date (see bills.js).
+//
+//   price list: name, basePrice, isDefault, note, items
+//   item: productId or name, price, effectiveFrom (defaults to today)
+const { ValidationError } = require("./validation");
+const { billItems, linePrice } = require("./bills");
+
+const DATE_PREFIX = /^(\d{4}-\d{2}-\d{2})/;
+
+// The price list a customer buys on: their own, else the default list, else null
+async function customerPriceList(db, mid, { customerId, customerName } = {}) {
+  if (customerId !== undefined || customerName) {
+    const customer = await db.query(
+      `SELECT pl.* FROM merchants m
+      JOIN price_lists pl ON pl.id = m.price_list_id AND pl.mid = m.mid
+      WHERE m.mid = $1 AND m.deleted_at IS NULL AND (m.id = $2 OR m.name = $3)
+      ORDER BY m.id = $2 DESC
+      LIMIT 1`,
+      [mid, customerId ?? null, customerName || null]
+    );
+    if (customer.rows.length > 0) {
+      return customer.rows[0];
+    }
+  }
+  const fallback = await db.query("SELECT * FROM price_lists WHERE mid = $1 AND is_default", [mid]);
+  return fallback.rows[0] || null;
+}
+
+// Each live product's price on date (default today) on priceList (or at MRP without one)
+async function resolvePrices(db, mid, { date, priceList, productIds } = {}) {
+  const base = priceList ? priceList.base_price : "mrp";
+  const params = [mid, priceList ? priceList.id : null, date || null];
+  let filter = "";
+  if (productIds) {
+    params.push(productIds);
+    filter = ` AND p.id = ANY($${params.length}::integer[])`;
+  }
+  const result = await db.query(
+    `SELECT p.id AS product_id, p.name, COALESCE(e.price, p.${base}) AS price,
+      CASE WHEN e.price IS NULL THEN '${base}' ELSE 'price_list' END AS source,
+      e.effective_from
+    FROM products p
+    LEFT JOIN LATERAL (
+      SELECT i.price, i.effective_from FROM price_list_items i
+      WHERE i.price_list_id = $2 AND i.mid = p.mid AND i.product_id = p.id
+        AND i.effective_from <= COALESCE($3::date, CURRENT_DATE)
+      ORDER BY i.effective_from DESC
+      LIMIT 1
+    ) e ON TRUE
+    WHERE p.mid = $1 AND p.deleted_at IS NULL${filter}
+    ORDER BY p.name`,
+    params
+  );
+  return result.rows;
+}
+
+// Prices for the bill's lines that were sent without one, keyed by product id
+async function billPrices(db, mid, bill, products) {
+  const unpriced = billItems(bill)
+    .filter((item) => linePrice(item) === undefined || linePrice(item) === null)
+    .map((item) => products.byId.get(Number(item.productId)) || products.byName.get(item.name))
+    .filter(Boolean);
+  if (unpriced.length === 0) {
+    return new Map();
+  }
+  const priceList = await customerPriceList(db, mid, {
+    customerId: bill.customerId,
+    customerName: bill.customer ?? bill.customerName ?? bill.merchantName,
+  });
+  const dateMatch = typeof bill.date === "string" ? DATE_PREFIX.exec(bill.date) : null;
+  const rows = await resolvePrices(db, mid, {
+    date: dateMatch ? dateMatch[1] : null,
+    priceList,
+    productIds: unpriced.map((product) => product.id),
+  });
+  return new Map(rows.map((row) => [row.product_id, Number(row.price)]));
+}
+
+// A price list's items matched to products; every item must name a product
+function priceListLines(doc, products) {
+  const problems = [];
+  const lines = (Array.isArray(doc.items) ? doc.items : []).map((item, index) => {
+    const product = products.byId.get(Number(item.productId)) || products.byName.get(item.name);
+    if (!product) {
+      problems.push({ field: `items[${index}]`, message: "does not match a product" });
+      return null;
+    }
+    return { productId: product.id, price: Number(item.price), effectiveFrom: item.effectiveFrom || null };
+  });
+  if (problems.length > 0) {
+    throw new ValidationError(problems);
+  }
+  return lines;
+}
+
+// Add or reprice dated prices; prices already on the list for other dates are kept
+async function upsertPriceListItems(db, mid, priceListId, lines) {
+  for (const line of lines) {
+    await db.query(
+      `INSERT INTO price_list_items (price_list_id, mid, product_id, price, effective_from)
+      VALUES ($1, $2, $3, $4, COALESCE($5::date, CURRENT_DATE))
+      ON CONFLICT (price_list_id, product_id, effective_from) DO UPDATE SET price = EXCLUDED.price`,
+      [priceListId, mid, line.productId, line.price, line.effectiveFrom]
+    );
+  }
+}
+
+async function loadPriceListItems(db, mid, priceListId) {
+  const result = await db.query(
+    `SELECT i.*, p.name FROM price_list_items i
+    JOIN products p ON p.id = i.product_id AND p.mid = i.mid
+    WHERE i.price_list_id = $1 AND i.mid = $2
+    ORDER BY p.name, i.effective_from`,
+    [priceListId, mid]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  customerPriceList,
+  resolvePrices,
+  billPrices,
+  priceListLines,
+  upsertPriceListItems,
+  loadPriceListItems,
+};
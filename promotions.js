@@ -0,0 +1,380 @@
+// Promotions. Each promotion is a rule kept in promotions.data as sent, with its type,
+// coupon code, validity dates, priority and usage limit also held in columns:
+//
+//   percent       percent off lines of productIds (every product when empty)
+//   flat          amount off each unit of productIds (every product when empty)
+//   buy_x_get_y   for every buyQuantity units of productIds, getQuantity units free: of
+//                 getProductId when set, else the cheapest units of the same products
+//   combo         items [{ productId, quantity }] sold together for price
+//   coupon        percent or amount off the whole bill for a bill carrying its code,
+//                 with optional minimumTotal, maximumDiscount and usageLimit
+//
+// Any promotion can be limited to validFrom..validTo, to a time of day (timeFrom..timeTo,
+// HH:MM, which may run past midnight) and to days of the week (days, 0 = Sunday); a happy
+// hour is a percent or flat promotion with a time window. These are checked against the
+// bill's date as the device recorded it, never the server's clock: a bill without a date,
+// or without a time of day for a time window, is rejected when such a promotion would
+// otherwise apply to its lines or coupon. A bill without a date is dated today, so
+// promotions that have ended are skipped for it.
+//
+// applyPromotions() is pure. Combos and buy-x-get-y offers go first, highest priority
+// first, and the units they use are not discounted again; each remaining line then gets
+// the best single percent or flat offer; a coupon applies last, to what is left of the
+// bill. Amounts are rounded to paise.
+const { ValidationError } = require("./validation");
+
+const PROMOTION_TYPES = ["percent", "flat", "buy_x_get_y", "combo", "coupon"];
+
+const DATE_PREFIX = /^(\d{4}-\d{2}-\d{2})/;
+const TIME_OF_DAY = /(?:T|\s)(\d{2}:\d{2})/;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Rule problems the schema cannot express (which fields each type needs)
+function promotionProblems(promotion) {
+  const problems = [];
+  const need = (field) => {
+    if (promotion[field] === undefined || promotion[field] === null) {
+      problems.push({ field, message: `is required for ${promotion.type} promotions` });
+    }
+  };
+  switch (promotion.type) {
+    case "percent":
+      need("percent");
+      break;
+    case "flat":
+      need("amount");
+      break;
+    case "buy_x_get_y":
+      need("buyQuantity");
+      need("getQuantity");
+      if (!Array.isArray(promotion.productIds) || promotion.productIds.length === 0) {
+        problems.push({ field: "productIds", message: "must name the products to buy" });
+      }
+      break;
+    case "combo":
+      need("price");
+      if (!Array.isArray(promotion.items) || promotion.items.length === 0) {
+        problems.push({ field: "items", message: "must list the products in the combo" });
+      }
+      break;
+    case "coupon":
+      need("code");
+      if (promotion.percent === undefined && promotion.amount === undefined) {
+        problems.push({ field: "percent", message: "or amount is required for coupon promotions" });
+      }
+      break;
+  }
+  if (promotion.validFrom && promotion.validTo && promotion.validTo < promotion.validFrom) {
+    problems.push({ field: "validTo", message: "is before validFrom" });
+  }
+  return problems;
+}
+
+// The date (YYYY-MM-DD) and time of day (HH:MM) a bill was made, from its date field;
+// either is null when the bill does not carry it
+function billMoment(bill) {
+  const text = typeof bill.date === "string" ? bill.date : "";
+  const dateMatch = DATE_PREFIX.exec(text);
+  const timeMatch = TIME_OF_DAY.exec(text);
+  return { date: dateMatch ? dateMatch[1] : null, time: timeMatch ? timeMatch[1] : null };
+}
+
+function matchesCode(promotion, code) {
+  return Boolean(code && promotion.code && promotion.code.toUpperCase() === String(code).toUpperCase());
+}
+
+// Whether a promotion would touch a bill's lines ({ productId }) or its coupon code
+function touchesBill(promotion, { lines, couponCode }) {
+  const rule = promotion.data;
+  const productIds = new Set(lines.map((line) => line.productId).filter((id) => id !== null));
+  switch (promotion.type) {
+    case "coupon":
+      return matchesCode(promotion, couponCode);
+    case "combo":
+      return rule.items.every((item) => productIds.has(Number(item.productId)));
+    case "buy_x_get_y":
+      return rule.productIds.some((id) => productIds.has(id));
+    default:
+      return [...productIds].some((id) => appliesTo(rule, id));
+  }
+}
+
+function inEffect(promotion, { date, time }, bill) {
+  const rule = promotion.data;
+  if (!promotion.active) {
+    return false;
+  }
+  const windowed = Boolean(rule.timeFrom && rule.timeTo);
+  const dated = Boolean(promotion.valid_from || promotion.valid_to || Array.isArray(rule.days));
+  if ((!date && (dated || windowed)) || (!time && windowed)) {
+    if ((!date && promotion.ended) || !touchesBill(promotion, bill)) {
+      return false;
+    }
+  }
+  if (!date && (dated || windowed)) {
+    throw new ValidationError([{ field: "date", message: `is required while the ${promotion.name} promotion runs` }]);
+  }
+  if ((promotion.valid_from && date < promotion.valid_from) || (promotion.valid_to && date > promotion.valid_to)) {
+    return false;
+  }
+  if (Array.isArray(rule.days) && !rule.days.includes(new Date(`${date}T00:00:00Z`).getUTCDay())) {
+    return false;
+  }
+  if (rule.timeFrom && rule.timeTo) {
+    if (!time) {
+      throw new ValidationError([
+        { field: "date", message: `must include the time of day (YYYY-MM-DDTHH:MM) while the ${promotion.name} promotion runs` },
+      ]);
+    }
+    return rule.timeFrom <= rule.timeTo
+      ? time >= rule.timeFrom && time < rule.timeTo
+      : time >= rule.timeFrom || time < rule.timeTo;
+  }
+  return true;
+}
+
+function appliesTo(rule, productId) {
+  return !Array.isArray(rule.productIds) || rule.productIds.length === 0 || rule.productIds.includes(productId);
+}
+
+// Take up to quantity units from the given line states, in order; returns what was taken
+function takeUnits(states, quantity) {
+  const taken = [];
+  let wanted = quantity;
+  for (const state of states) {
+    if (wanted <= 0) {
+      break;
+    }
+    const units = Math.min(state.remaining, wanted);
+    if (units > 0) {
+      state.remaining -= units;
+      wanted -= units;
+      taken.push({ state, units });
+    }
+  }
+  return taken;
+}
+
+function credit(state, promotion, amount) {
+  if (amount <= 0) {
+    return;
+  }
+  state.discount += amount;
+  state.promotions.push({ id: promotion.id, name: promotion.name, amount: round2(amount) });
+}
+
+function applyCombo(states, promotion) {
+  const rule = promotion.data;
+  const parts = rule.items.map((item) => ({
+    quantity: Number(item.quantity),
+    states: states.filter((state) => state.productId === Number(item.productId)),
+  }));
+  const bundles = Math.min(
+    ...parts.map((part) => Math.floor(part.states.reduce((sum, state) => sum + state.remaining, 0) / part.quantity))
+  );
+  if (!(bundles >= 1)) {
+    return;
+  }
+  const taken = parts.flatMap((part) => takeUnits(part.states, part.quantity * bundles));
+  const regular = taken.reduce((sum, { state, units }) => sum + units * state.unitPrice, 0);
+  const saving = regular - bundles * Number(rule.price);
+  if (saving <= 0) {
+    return;
+  }
+  // The saving is shared over the combo's lines in proportion to their value
+  for (const { state, units } of taken) {
+    credit(state, promotion, (saving * units * state.unitPrice) / regular);
+  }
+}
+
+function applyBuyXGetY(states, promotion) {
+  const rule = promotion.data;
+  const buy = Number(rule.buyQuantity);
+  const get = Number(rule.getQuantity);
+  const buyStates = states.filter((state) => rule.productIds.includes(state.productId));
+  const cheapestFirst = (a, b) => a.unitPrice - b.unitPrice;
+
+  if (rule.getProductId === undefined || rule.getProductId === null) {
+    const units = buyStates.reduce((sum, state) => sum + state.remaining, 0);
+    const groups = Math.floor(units / (buy + get));
+    if (groups < 1) {
+      return;
+    }
+    const free = takeUnits([...buyStates].sort(cheapestFirst), groups * get);
+    takeUnits([...buyStates].sort(cheapestFirst).reverse(), groups * buy);
+    free.forEach(({ state, units: freeUnits }) => credit(state, promotion, freeUnits * state.unitPrice));
+    return;
+  }
+
+  const getStates = states.filter((state) => state.productId === Number(rule.getProductId)).sort(cheapestFirst);
+  const groups = Math.floor(buyStates.reduce((sum, state) => sum + state.remaining, 0) / buy);
+  const available = getStates.reduce((sum, state) => sum + state.remaining, 0);
+  const freeUnits = Math.min(groups * get, available);
+  if (freeUnits <= 0) {
+    return;
+  }
+  takeUnits(buyStates, Math.ceil(freeUnits / get) * buy);
+  takeUnits(getStates, freeUnits).forEach(({ state, units }) => credit(state, promotion, units * state.unitPrice));
+}
+
+// The best single percent or flat offer on what is left of each line
+function applyLineOffers(states, offers) {
+  for (const state of states) {
+    if (state.remaining <= 0 || state.productId === null) {
+      continue;
+    }
+    let best = null;
+    for (const promotion of offers.filter((offer) => appliesTo(offer.data, state.productId))) {
+      const value = state.remaining * state.unitPrice;
+      const amount = promotion.type === "percent"
+        ? (value * Number(promotion.data.percent)) / 100
+        : Math.min(Number(promotion.data.amount) * state.remaining, value);
+      if (!best || amount > best.amount) {
+        best = { promotion, amount };
+      }
+    }
+    if (best) {
+      credit(state, best.promotion, best.amount);
+    }
+  }
+}
+
+// Coupon discount on the bill after line offers, or the reason it cannot be used
+function applyCoupon(promotions, bill, net, moment, couponUses) {
+  const coupon = promotions.find((promotion) => promotion.type === "coupon" && matchesCode(promotion, bill.couponCode));
+  if (!coupon) {
+    return { problem: "does not match a coupon" };
+  }
+  const rule = coupon.data;
+  if (!inEffect(coupon, moment, bill)) {
+    return { problem: "is not valid at this time" };
+  }
+  if (coupon.usage_limit !== null && (couponUses.get(coupon.id) || 0) >= coupon.usage_limit) {
+    return { problem: "has reached its usage limit" };
+  }
+  if (rule.minimumTotal !== undefined && net < Number(rule.minimumTotal)) {
+    return { problem: `needs a bill of at least ${rule.minimumTotal}` };
+  }
+  let amount = rule.percent !== undefined ? (net * Number(rule.percent)) / 100 : Number(rule.amount);
+  if (rule.maximumDiscount !== undefined) {
+    amount = Math.min(amount, Number(rule.maximumDiscount));
+  }
+  return { coupon: { id: coupon.id, name: coupon.name, code: coupon.code, amount: round2(Math.min(amount, net)) } };
+}
+
+// Discounts for priced bill lines ({ lineNo, productId, quantity, unitPrice }) under the
+// merchant's promotions at moment ({ date, time }); couponUses counts each coupon's
+// redemptions on other bills
+function applyPromotions(lines, promotions, { moment, couponCode, couponUses = new Map() }) {
+  const bill = { lines, couponCode };
+  const live = promotions.filter((promotion) => inEffect(promotion, moment, bill));
+  const states = lines.map((line) => ({
+    lineNo: line.lineNo,
+    productId: line.productId,
+    unitPrice: Number(line.unitPrice),
+    remaining: Number(line.quantity),
+    discount: 0,
+    promotions: [],
+  }));
+
+  const byPriority = (a, b) => b.priority - a.priority || a.id - b.id;
+  for (const promotion of live.filter((p) => p.type === "combo" || p.type === "buy_x_get_y").sort(byPriority)) {
+    if (promotion.type === "combo") {
+      applyCombo(states, promotion);
+    } else {
+      applyBuyXGetY(states, promotion);
+    }
+  }
+  applyLineOffers(states, live.filter((p) => p.type === "percent" || p.type === "flat").sort(byPriority));
+
+  const pricedLines = states.map((state) => ({
+    lineNo: state.lineNo,
+    discount: round2(state.discount),
+    promotions: state.promotions,
+  }));
+  const gross = lines.reduce((sum, line) => sum + Number(line.quantity) * Number(line.unitPrice), 0);
+  const net = round2(gross - pricedLines.reduce((sum, line) => sum + line.discount, 0));
+
+  let coupon = null;
+  if (couponCode) {
+    const result = applyCoupon(promotions, bill, net, moment, couponUses);
+    if (result.problem) {
+      throw new ValidationError([{ field: "couponCode", message: result.problem }]);
+    }
+    coupon = result.coupon;
+  }
+  return { lines: pricedLines, coupon };
+}
+
+// The merchant's live promotions, each marked ended once its validTo has passed
+async function loadPromotions(db, mid) {
+  const result = await db.query(
+    `SELECT *, COALESCE(valid_to < CURRENT_DATE, FALSE) AS ended FROM promotions
+    WHERE mid = $1 AND deleted_at IS NULL ORDER BY priority DESC, id`,
+    [mid]
+  );
+  return result.rows;
+}
+
+// Redemptions of each coupon on live bills other than billId
+async function loadCouponUses(db, mid, billId) {
+  const result = await db.query(
+    `SELECT r.promotion_id, COUNT(*)::integer AS uses
+    FROM promotion_redemptions r
+    JOIN bills b ON b.id = r.bill_id AND b.mid = r.mid
+    WHERE r.mid = $1 AND b.deleted_at IS NULL AND r.bill_id IS DISTINCT FROM $2
+    GROUP BY r.promotion_id`,
+    [mid, billId ?? null]
+  );
+  return new Map(result.rows.map((row) => [row.promotion_id, row.uses]));
+}
+
+// The bill document with the promotions' discounts written in: each line's discount and
+// the coupon as the bill-level discount, replacing any the device sent
+function promotedBill(bill, result) {
+  const key = ["items", "products", "rows"].find((name) => Array.isArray(bill[name]));
+  const promoted = { ...bill, discount: result.coupon ? result.coupon.amount : 0 };
+  if (key) {
+    promoted[key] = bill[key].map((item, index) => ({ ...item, discount: result.lines[index].discount }));
+  }
+  promoted.appliedPromotions = [
+    ...result.lines.flatMap((line) => line.promotions.map((promotion) => ({ ...promotion, lineNo: line.lineNo }))),
+    ...(result.coupon ? [result.coupon] : []),
+  ];
+  return promoted;
+}
+
+// Record the bill's coupon use, replacing any earlier one; the usage limit is checked
+// again under a row lock so two bills cannot both take the last use
+async function recordRedemption(db, mid, billId, coupon) {
+  await db.query("DELETE FROM promotion_redemptions WHERE mid = $1 AND bill_id = $2", [mid, billId]);
+  if (!coupon) {
+    return;
+  }
+  const promotion = await db.query(
+    "SELECT usage_limit FROM promotions WHERE id = $1 AND mid = $2 FOR UPDATE",
+    [coupon.id, mid]
+  );
+  const uses = (await loadCouponUses(db, mid, billId)).get(coupon.id) || 0;
+  if (promotion.rows[0].usage_limit !== null && uses >= promotion.rows[0].usage_limit) {
+    throw new ValidationError([{ field: "couponCode", message: "has reached its usage limit" }]);
+  }
+  await db.query(
+    "INSERT INTO promotion_redemptions (mid, promotion_id, bill_id, amount) VALUES ($1, $2, $3, $4)",
+    [mid, coupon.id, billId, coupon.amount]
+  );
+}
+
+module.exports = {
+  PROMOTION_TYPES,
+  promotionProblems,
+  billMoment,
+  applyPromotions,
+  loadPromotions,
+  loadCouponUses,
+  promotedBill,
+  recordRedemption,
+};
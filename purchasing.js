@@ -0,0 +1,224 @@
+// Purchasing: purchase orders (POs) to vendors and goods-received notes (GRNs) against
+// them. Like bills, the document as sent is kept in data and its lines are decomposed
+// into purchase_order_items / goods_receipt_items, each linked to a supply item.
+//
+//   PO:  vendor, poNumber, date (order date), expectedDate, status ("cancelled" or
+//        "closed" to stop expecting the rest), note, items
+//   GRN: poId, vendor (defaults to the PO's), grnNumber, date (receipt date), note, items
+//   line: supplyId or name, quantity | qty, unit, price | unitPrice | rate; GRN lines
+//         may add batchNumber, manufactureDate, expiryDate (see batches.js)
+//
+// Lines are stored in the supply item's unit, quantity and price converted from the
+// unit they were sent in (see units.js).
+//
+// A GRN line's price defaults to the PO's price for that supply item. Received
+// quantities are summed from live GRNs, so a PO can be received in several parts and
+// either document can be edited later; the PO's status (open, partial, received) is
+// kept in step whenever one of its GRNs changes.
+const { ValidationError } = require("./validation");
+const { normaliseUnit, canConvert, convertQuantity } = require("./units");
+const { lineBatch } = require("./batches");
+
+const CLOSING_STATUSES = ["cancelled", "closed"];
+
+function toNumber(value, fallback) {
+  const number = Number(value);
+  return value === undefined || value === null || value === "" || !Number.isFinite(number) ? fallback : number;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+async function loadSupplyItems(db, mid) {
+  const result = await db.query("SELECT id, name, unit FROM supply WHERE mid = $1 AND deleted_at IS NULL", [mid]);
+  return {
+    byId: new Map(result.rows.map((row) => [row.id, row])),
+    byName: new Map(result.rows.map((row) => [row.name, row])),
+  };
+}
+
+// Priced lines of a PO or GRN; every line must name a live supply item
+function documentLines(doc, supplies, defaultPrices = new Map()) {
+  const problems = [];
+  const lines = (Array.isArray(doc.items) ? doc.items : []).map((item, index) => {
+    const supply = supplies.byId.get(Number(item.supplyId)) || supplies.byName.get(item.name);
+    if (!supply) {
+      problems.push({ field: `items[${index}]`, message: "does not match a supply item" });
+      return null;
+    }
+    if (!canConvert(item.unit, supply.unit)) {
+      problems.push({ field: `items[${index}].unit`, message: `cannot convert ${item.unit} to ${supply.unit}` });
+      return null;
+    }
+    const sentQuantity = toNumber(item.quantity ?? item.qty, 0);
+    const quantity = convertQuantity(sentQuantity, item.unit, supply.unit);
+    // A price sent per item.unit becomes a price per supply unit
+    const sentPrice = toNumber(item.price ?? item.unitPrice ?? item.rate, null);
+    let unitPrice = defaultPrices.get(supply.id) ?? 0;
+    if (sentPrice !== null) {
+      unitPrice = quantity !== 0 ? (sentPrice * sentQuantity) / quantity : sentPrice;
+    }
+    const batch = lineBatch(item, `items[${index}].`);
+    return {
+      lineNo: index + 1,
+      supplyId: supply.id,
+      name: supply.name,
+      quantity,
+      unit: normaliseUnit(supply.unit) || normaliseUnit(item.unit),
+      unitPrice,
+      total: round2(quantity * unitPrice),
+      ...(batch && { batch }),
+    };
+  });
+  if (problems.length > 0) {
+    throw new ValidationError(problems);
+  }
+  return lines;
+}
+
+function linesTotal(lines) {
+  return round2(lines.reduce((sum, line) => sum + line.total, 0));
+}
+
+async function replacePurchaseOrderItems(db, poId, mid, lines) {
+  await db.query("DELETE FROM purchase_order_items WHERE po_id = $1 AND mid = $2", [poId, mid]);
+  for (const line of lines) {
+    await db.query(
+      `INSERT INTO purchase_order_items (po_id, mid, line_no, supply_id, quantity, unit, unit_price, total)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [poId, mid, line.lineNo, line.supplyId, line.quantity, line.unit, line.unitPrice, line.total]
+    );
+  }
+}
+
+async function replaceReceiptItems(db, grnId, mid, lines) {
+  await db.query("DELETE FROM goods_receipt_items WHERE grn_id = $1 AND mid = $2", [grnId, mid]);
+  for (const line of lines) {
+    await db.query(
+      `INSERT INTO goods_receipt_items (grn_id, mid, line_no, supply_id, quantity, unit_price, total)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [grnId, mid, line.lineNo, line.supplyId, line.quantity, line.unitPrice, line.total]
+    );
+  }
+}
+
+// PO prices by supply item, used as GRN line defaults
+async function purchaseOrderPrices(db, mid, poId) {
+  const result = await db.query(
+    "SELECT supply_id, unit_price FROM purchase_order_items WHERE po_id = $1 AND mid = $2 ORDER BY line_no",
+    [poId, mid]
+  );
+  return new Map(result.rows.map((row) => [row.supply_id, Number(row.unit_price)]));
+}
+
+// Ordered vs. received per supply item on a PO
+const PO_PROGRESS = `
+  SELECT o.supply_id, s.name, s.unit, o.ordered, o.unit_price,
+    COALESCE(r.received, 0) AS received,
+    GREATEST(o.ordered - COALESCE(r.received, 0), 0) AS outstanding
+  FROM (
+    SELECT supply_id, SUM(quantity) AS ordered, MAX(unit_price) AS unit_price
+    FROM purchase_order_items WHERE po_id = $1 AND mid = $2 GROUP BY supply_id
+  ) o
+  JOIN supply s ON s.id = o.supply_id AND s.mid = $2
+  LEFT JOIN (
+    SELECT gi.supply_id, SUM(gi.quantity) AS received
+    FROM goods_receipt_items gi
+    JOIN goods_receipts g ON g.id = gi.grn_id AND g.mid = gi.mid
+    WHERE g.po_id = $1 AND g.mid = $2 AND g.deleted_at IS NULL
+    GROUP BY gi.supply_id
+  ) r ON r.supply_id = o.supply_id
+  ORDER BY s.name`;
+
+async function purchaseOrderProgress(db, mid, poId) {
+  const result = await db.query(PO_PROGRESS, [poId, mid]);
+  return result.rows;
+}
+
+// Derive open / partial / received from what has arrived; cancelled and closed POs
+// keep the status the client gave them
+async function refreshPurchaseOrderStatus(db, mid, poId) {
+  const po = await db.query("SELECT status FROM purchase_orders WHERE id = $1 AND mid = $2", [poId, mid]);
+  if (po.rows.length === 0 || CLOSING_STATUSES.includes(po.rows[0].status)) {
+    return;
+  }
+  const progress = await purchaseOrderProgress(db, mid, poId);
+  const received = progress.some((line) => Number(line.received) > 0);
+  const complete = progress.length > 0 && progress.every((line) => Number(line.outstanding) === 0);
+  const status = complete ? "received" : received ? "partial" : "open";
+  if (status !== po.rows[0].status) {
+    await db.query(
+      "UPDATE purchase_orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND mid = $3",
+      [status, poId, mid]
+    );
+  }
+}
+
+// Stock receipts for a GRN, at the price paid
+function receiptMovements(lines, vendor, date) {
+  return lines
+    .filter((line) => line.quantity !== 0)
+    .map((line) => ({
+      itemType: "supply",
+      itemId: line.supplyId,
+      movementType: "receipt",
+      quantity: line.quantity,
+      unitCost: line.unitPrice,
+      supplier: vendor,
+      date,
+      batch: line.batch,
+    }));
+}
+
+// Lines still to arrive on open and partially received POs, oldest expected first
+async function outstandingPurchaseLines(db, mid, { vendor, supplyId } = {}) {
+  const params = [mid];
+  let filter = "";
+  if (vendor) {
+    params.push(vendor);
+    filter += ` AND po.vendor = $${params.length}`;
+  }
+  if (supplyId !== undefined) {
+    params.push(supplyId);
+    filter += ` AND line.supply_id = $${params.length}`;
+  }
+  const result = await db.query(
+    `SELECT po.id AS po_id, po.po_number, po.vendor, po.order_date, po.expected_date, po.status,
+      line.supply_id, s.name, s.unit, line.ordered, COALESCE(r.received, 0) AS received,
+      line.ordered - COALESCE(r.received, 0) AS outstanding,
+      COALESCE(po.expected_date < CURRENT_DATE, false) AS overdue
+    FROM purchase_orders po
+    JOIN (
+      SELECT po_id, mid, supply_id, SUM(quantity) AS ordered
+      FROM purchase_order_items GROUP BY po_id, mid, supply_id
+    ) line ON line.po_id = po.id AND line.mid = po.mid
+    JOIN supply s ON s.id = line.supply_id AND s.mid = po.mid
+    LEFT JOIN (
+      SELECT g.po_id, g.mid, gi.supply_id, SUM(gi.quantity) AS received
+      FROM goods_receipt_items gi
+      JOIN goods_receipts g ON g.id = gi.grn_id AND g.mid = gi.mid
+      WHERE g.deleted_at IS NULL
+      GROUP BY g.po_id, g.mid, gi.supply_id
+    ) r ON r.po_id = po.id AND r.mid = po.mid AND r.supply_id = line.supply_id
+    WHERE po.mid = $1 AND po.deleted_at IS NULL AND po.status IN ('open', 'partial')
+      AND line.ordered > COALESCE(r.received, 0)${filter}
+    ORDER BY po.expected_date NULLS LAST, po.order_date, po.id, s.name`,
+    params
+  );
+  return result.rows;
+}
+
+module.exports = {
+  CLOSING_STATUSES,
+  loadSupplyItems,
+  documentLines,
+  linesTotal,
+  replacePurchaseOrderItems,
+  replaceReceiptItems,
+  purchaseOrderPrices,
+  purchaseOrderProgress,
+  refreshPurchaseOrderStatus,
+  receiptMovements,
+  outstandingPurchaseLines,
+};
@@ -0,0 +1,181 @@
+// Returns against bills. A return is a credit note against one bill:
+//
+//   return: billId, date, reason, restock (default true), refundMode (a tender, see
+//           tenders.js; default credit when the bill was partly on credit, else cash),
+//           items: [{ lineNo (the bill line), quantity }] (default: whatever is left
+//           of every line)
+//
+// Returned lines take the bill line's price, discount and GST rate in proportion to the
+// quantity, so the credit note reverses exactly the tax charged; a line's last return
+// takes whatever is left of its amounts. Restocked goods go back into the batches the
+// sale drew from (see batches.js). Credit notes count as negative sales in the sales
+// and GST reports; one refunded on credit reduces what the customer owes (see
+// ledger.js), any other refund is paid out of the shift's takings (see shifts.js).
+const { ValidationError } = require("./validation");
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// A bill's lines with what live returns other than returnId have taken back already
+async function loadReturnableLines(db, mid, billId, returnId) {
+  const result = await db.query(
+    `SELECT i.*, COALESCE(r.quantity, 0) AS returned_quantity, COALESCE(r.discount, 0) AS returned_discount,
+      COALESCE(r.taxable_value, 0) AS returned_taxable_value, COALESCE(r.gst_amount, 0) AS returned_gst_amount,
+      COALESCE(r.total, 0) AS returned_total
+    FROM bill_items i
+    LEFT JOIN (
+      SELECT ri.bill_line_no, SUM(ri.quantity) AS quantity, SUM(ri.discount) AS discount,
+        SUM(ri.taxable_value) AS taxable_value, SUM(ri.gst_amount) AS gst_amount, SUM(ri.total) AS total
+      FROM bill_return_items ri
+      JOIN bill_returns r ON r.id = ri.return_id AND r.mid = ri.mid
+      WHERE r.mid = $1 AND r.bill_id = $2 AND r.deleted_at IS NULL AND r.id <> COALESCE($3, 0)
+      GROUP BY ri.bill_line_no
+    ) r ON r.bill_line_no = i.line_no
+    WHERE i.mid = $1 AND i.bill_id = $2
+    ORDER BY i.line_no`,
+    [mid, billId, returnId ?? null]
+  );
+  return result.rows;
+}
+
+// The credit note's lines for a return against the bill's returnable lines
+function returnLines(returnData, billLines) {
+  const remaining = (line) => round2(Number(line.quantity) - Number(line.returned_quantity));
+  const requested = Array.isArray(returnData.items)
+    ? returnData.items
+    : billLines.filter((line) => remaining(line) > 0).map((line) => ({ lineNo: line.line_no, quantity: remaining(line) }));
+
+  const problems = [];
+  const seen = new Set();
+  const lines = [];
+  requested.forEach((item, index) => {
+    const line = billLines.find((candidate) => candidate.line_no === item.lineNo);
+    const quantity = Number(item.quantity);
+    if (!line) {
+      problems.push({ field: `items[${index}].lineNo`, message: "is not a line of the bill" });
+      return;
+    }
+    if (seen.has(item.lineNo)) {
+      problems.push({ field: `items[${index}].lineNo`, message: "appears more than once" });
+      return;
+    }
+    seen.add(item.lineNo);
+    if (!(quantity > 0)) {
+      problems.push({ field: `items[${index}].quantity`, message: "must be more than 0" });
+      return;
+    }
+    if (quantity > remaining(line)) {
+      problems.push({ field: `items[${index}].quantity`, message: `is more than the ${remaining(line)} left to return` });
+      return;
+    }
+
+    // The last of a line takes what is left of its amounts, so rounding never leaves a remainder
+    const last = quantity === remaining(line);
+    const share = (column) =>
+      last ? round2(Number(line[column]) - Number(line[`returned_${column}`])) : round2((Number(line[column]) * quantity) / Number(line.quantity));
+    lines.push({
+      lineNo: lines.length + 1,
+      billLineNo: line.line_no,
+      productId: line.product_id,
+      name: line.name,
+      quantity,
+      unit: line.unit,
+      unitPrice: Number(line.unit_price),
+      discount: share("discount"),
+      gstRate: Number(line.gst_rate),
+      taxableValue: share("taxable_value"),
+      gstAmount: share("gst_amount"),
+      total: share("total"),
+      hsn: line.hsn,
+    });
+  });
+  if (problems.length === 0 && lines.length === 0) {
+    problems.push({ field: "items", message: "nothing is left to return on this bill" });
+  }
+  if (problems.length > 0) {
+    throw new ValidationError(problems);
+  }
+  return lines;
+}
+
+function returnTotals(lines) {
+  const sum = (pick) => round2(lines.reduce((total, line) => total + pick(line), 0));
+  return {
+    subtotal: sum((line) => line.unitPrice * line.quantity),
+    discount: sum((line) => line.discount),
+    taxableValue: sum((line) => line.taxableValue),
+    gstAmount: sum((line) => line.gstAmount),
+    total: sum((line) => line.total),
+  };
+}
+
+async function replaceReturnItems(db, returnId, mid, lines) {
+  await db.query("DELETE FROM bill_return_items WHERE return_id = $1 AND mid = $2", [returnId, mid]);
+  const items = [];
+  for (const line of lines) {
+    const result = await db.query(
+      `INSERT INTO bill_return_items (
+        return_id, mid, line_no, bill_line_no, product_id, name, quantity, unit, unit_price,
+        discount, gst_rate, taxable_value, gst_amount, total, hsn
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING *`,
+      [
+        returnId,
+        mid,
+        line.lineNo,
+        line.billLineNo,
+        line.productId,
+        line.name,
+        line.quantity,
+        line.unit,
+        line.unitPrice,
+        line.discount,
+        line.gstRate,
+        line.taxableValue,
+        line.gstAmount,
+        line.total,
+        line.hsn,
+      ]
+    );
+    items.push(result.rows[0]);
+  }
+  return items;
+}
+
+// Stock coming back for the returned product lines, into the batches the bill's sale
+// drew from (latest expiry first) up to what each has not had back yet; the rest goes
+// back without a batch
+async function restockMovements(db, mid, billId, returnId, lines, date) {
+  const movements = [];
+  for (const line of lines.filter((candidate) => candidate.productId !== null)) {
+    const batches = await db.query(
+      `SELECT m.batch_id, -SUM(m.quantity) - COALESCE((
+          SELECT SUM(back.quantity) FROM stock_movements back
+          JOIN bill_returns r ON r.id = back.source_id AND r.mid = back.mid
+          WHERE back.mid = $1 AND back.source_type = 'return' AND r.bill_id = $2 AND r.id <> COALESCE($4, 0)
+            AND r.deleted_at IS NULL AND back.batch_id = m.batch_id
+        ), 0) AS open
+      FROM stock_movements m
+      JOIN stock_batches b ON b.id = m.batch_id
+      WHERE m.mid = $1 AND m.source_type = 'bill' AND m.source_id = $2 AND m.item_type = 'product' AND m.item_id = $3
+      GROUP BY m.batch_id, b.expires_on
+      ORDER BY b.expires_on DESC NULLS FIRST, m.batch_id DESC`,
+      [mid, billId, line.productId, returnId]
+    );
+
+    let outstanding = line.quantity;
+    for (const batch of batches.rows) {
+      const taken = Math.min(Number(batch.open), outstanding);
+      if (taken > 0) {
+        movements.push({ itemType: "product", itemId: line.productId, movementType: "return", quantity: taken, date, batchId: batch.batch_id });
+        outstanding -= taken;
+      }
+    }
+    if (outstanding > 0) {
+      movements.push({ itemType: "product", itemId: line.productId, movementType: "return", quantity: outstanding, date });
+    }
+  }
+  return movements;
+}
+
+module.exports = { loadReturnableLines, returnLines, returnTotals, replaceReturnItems, restockMovements };
@@ -0,0 +1,163 @@
+// Till shifts. A device opens a shift with its opening float and closes it with the
+// takings it counted per tender; bills saved from a device while its shift is open
+// belong to that shift (or name one as shiftId), as do returns refunded there. At close,
+// the expected takings per tender are the tenders of the shift's live bills less its
+// refunds (see tenders.js and returns.js), plus the opening float for cash. Every
+// counted tender that differs from expected is kept as a discrepancy until the owner
+// reviews it.
+//
+// The Z-report for a business date puts each shift's expected and counted takings side
+// by side and totals them per tender.
+const { TENDERS, COUNTED_TENDERS } = require("./tenders");
+
+// Takings per tender: bill tenders in, refunds on live credit notes out
+const TAKINGS = `(
+  SELECT b.mid, b.shift_id, b.bill_date AS date, t.tender, t.amount
+  FROM bill_tenders t
+  JOIN bills b ON b.id = t.bill_id AND b.mid = t.mid
+  WHERE b.deleted_at IS NULL
+  UNION ALL
+  SELECT mid, shift_id, return_date, refund_mode, -total
+  FROM bill_returns
+  WHERE deleted_at IS NULL
+)`;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+async function currentShift(db, mid, deviceId) {
+  const result = await db.query(
+    "SELECT * FROM shifts WHERE mid = $1 AND device_id = $2 AND closed_at IS NULL",
+    [mid, deviceId]
+  );
+  return result.rows[0] || null;
+}
+
+// Takings per tender the shift should have, from its bills, refunds and opening float
+async function shiftExpected(db, mid, shift) {
+  const result = await db.query(
+    `SELECT tender, SUM(amount) AS amount FROM ${TAKINGS} t
+    WHERE mid = $1 AND shift_id = $2
+    GROUP BY tender`,
+    [mid, shift.id]
+  );
+  const expected = Object.fromEntries(TENDERS.map((tender) => [tender, 0]));
+  for (const row of result.rows) {
+    expected[row.tender] = round2(Number(row.amount));
+  }
+  expected.cash = round2(expected.cash + Number(shift.opening_float));
+  return expected;
+}
+
+// Expected against counted per tender; tenders not counted have no difference
+function compareTakings(expected, counted) {
+  return TENDERS.map((tender) => {
+    const count = counted && counted[tender] !== undefined && counted[tender] !== null ? round2(Number(counted[tender])) : null;
+    return {
+      tender,
+      expected: expected[tender] || 0,
+      counted: count,
+      difference: count === null ? null : round2(count - (expected[tender] || 0)),
+    };
+  });
+}
+
+// Close the shift with the counted takings and keep any discrepancies
+async function closeShift(db, mid, shift, { counted = {}, note, closedBy }) {
+  const expected = await shiftExpected(db, mid, shift);
+  const closed = await db.query(
+    `UPDATE shifts SET closed_at = CURRENT_TIMESTAMP, closed_by = $3, expected = $4, counted = $5,
+      note = COALESCE($6, note)
+    WHERE id = $1 AND mid = $2 RETURNING *`,
+    [shift.id, mid, closedBy || null, expected, counted, note || null]
+  );
+
+  const comparison = compareTakings(expected, counted);
+  const discrepancies = [];
+  for (const row of comparison) {
+    if (COUNTED_TENDERS.includes(row.tender) && row.difference !== null && Math.abs(row.difference) >= 0.01) {
+      const result = await db.query(
+        `INSERT INTO shift_discrepancies (mid, shift_id, tender, expected, counted, difference)
+        VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [mid, shift.id, row.tender, row.expected, row.counted, row.difference]
+      );
+      discrepancies.push(result.rows[0]);
+    }
+  }
+  return { shift: closed.rows[0], comparison, discrepancies };
+}
+
+// Day-end report: every shift of the business date with its takings compared, totals per
+// tender, and takings of that day's bills and returns that belong to no shift. Counted
+// and difference totals cover closed shifts only, and are null until one has closed.
+// Sales and returns are those of the day's shifts, whatever their own date, plus the
+// day's bills and returns outside any shift.
+async function zReport(db, mid, date) {
+  const day = await db.query("SELECT COALESCE($1::date, CURRENT_DATE) AS date", [date || null]);
+  const businessDate = day.rows[0].date;
+
+  const shifts = await db.query(
+    "SELECT * FROM shifts WHERE mid = $1 AND business_date = $2 ORDER BY opened_at, id",
+    [mid, businessDate]
+  );
+  const totals = Object.fromEntries(TENDERS.map((tender) => [tender, { expected: 0, counted: null, difference: null }]));
+  const shiftReports = [];
+  for (const shift of shifts.rows) {
+    const open = shift.closed_at === null;
+    // Open shifts are reported on their takings so far
+    const expected = open ? await shiftExpected(db, mid, shift) : shift.expected;
+    const comparison = compareTakings(expected, open ? null : shift.counted);
+    for (const row of comparison) {
+      const total = totals[row.tender];
+      total.expected = round2(total.expected + row.expected);
+      if (row.counted !== null) {
+        total.counted = round2((total.counted ?? 0) + row.counted);
+        total.difference = round2((total.difference ?? 0) + row.difference);
+      }
+    }
+    shiftReports.push({ ...shift, open, comparison });
+  }
+
+  const sales = await db.query(
+    `SELECT COUNT(*)::integer AS bills, COALESCE(SUM(total), 0) AS total,
+      COUNT(*) FILTER (WHERE shift_id IS NULL)::integer AS bills_outside_shifts
+    FROM bills
+    WHERE mid = $1 AND deleted_at IS NULL
+      AND (shift_id IN (SELECT id FROM shifts WHERE mid = $1 AND business_date = $2) OR (shift_id IS NULL AND bill_date = $2))`,
+    [mid, businessDate]
+  );
+  const returns = await db.query(
+    `SELECT COUNT(*)::integer AS returns, COALESCE(SUM(total), 0) AS total
+    FROM bill_returns
+    WHERE mid = $1 AND deleted_at IS NULL
+      AND (shift_id IN (SELECT id FROM shifts WHERE mid = $1 AND business_date = $2) OR (shift_id IS NULL AND return_date = $2))`,
+    [mid, businessDate]
+  );
+  const outside = await db.query(
+    `SELECT tender, SUM(amount) AS amount FROM ${TAKINGS} t
+    WHERE mid = $1 AND date = $2 AND shift_id IS NULL
+    GROUP BY tender
+    ORDER BY tender`,
+    [mid, businessDate]
+  );
+  const discrepancies = await db.query(
+    `SELECT d.* FROM shift_discrepancies d
+    JOIN shifts s ON s.id = d.shift_id
+    WHERE d.mid = $1 AND s.business_date = $2
+    ORDER BY d.id`,
+    [mid, businessDate]
+  );
+
+  return {
+    date: businessDate,
+    sales: { ...sales.rows[0], total: Number(sales.rows[0].total) },
+    returns: { ...returns.rows[0], total: Number(returns.rows[0].total) },
+    shifts: shiftReports,
+    totals: TENDERS.map((tender) => ({ tender, ...totals[tender] })),
+    outsideShifts: outside.rows.map((row) => ({ tender: row.tender, amount: Number(row.amount) })),
+    discrepancies: discrepancies.rows,
+  };
+}
+
+module.exports = { currentShift, shiftExpected, compareTakings, closeShift, zReport };
@@ -0,0 +1,209 @@
+// Stock ledger. Every change to stock is one stock_movements row with a signed quantity
+// (positive in, negative out) against a product or a supply item; on-hand stock is the
+// sum of an item's movements. Movements posted for a document (a bill's sales, a
+// return's restocked goods, a production record's output) carry its source_type /
+// source_id and are replaced whenever that document is saved again, and removed when it
+// is deleted. Material consumed by a production record is posted against it as well
+// (see bom.js).
+//
+// Production records use the same line aliases as bills (items | products | rows, see
+// bills.js); each line is { productId, name, quantity | qty | produced, wastage | wasted,
+// unit, batchNumber, manufactureDate, expiryDate }. Quantities are converted to the
+// product's unit (see units.js); output with batch details goes into that batch, and
+// sales and consumption are drawn from batches first-expiry-first-out (see batches.js).
+const { billItems } = require("./bills");
+const { convertQuantity } = require("./units");
+const { lineBatch, resolveBatch, allocateBatches } = require("./batches");
+
+const MOVEMENT_TYPES = ["opening", "receipt", "sale", "return", "production", "consumption", "wastage", "adjustment"];
+
+// Movements a device may record directly; the others are posted from documents
+const MANUAL_MOVEMENT_TYPES = ["receipt", "wastage", "adjustment"];
+
+const ITEM_TYPES = ["product", "supply"];
+
+function toQuantity(value) {
+  const number = Number(value);
+  return value === undefined || value === null || value === "" || !Number.isFinite(number) ? 0 : number;
+}
+
+// Replace the movements posted for one source document
+async function replaceSourceMovements(db, mid, sourceType, sourceId, movements) {
+  await db.query(
+    "DELETE FROM stock_movements WHERE mid = $1 AND source_type = $2 AND source_id = $3",
+    [mid, sourceType, sourceId]
+  );
+  const saved = [];
+  for (const movement of movements) {
+    for (const part of await allocateBatches(db, mid, movement)) {
+      saved.push(await insertMovement(db, mid, { ...part, sourceType, sourceId }));
+    }
+  }
+  return saved;
+}
+
+async function insertMovement(db, mid, movement) {
+  const batchId = movement.batch ? await resolveBatch(db, mid, movement) : movement.batchId;
+  const result = await db.query(
+    `INSERT INTO stock_movements (
+      mid, item_type, item_id, movement_type, quantity, movement_date, supplier, note, source_type, source_id, unit_cost,
+      batch_id
+    ) VALUES ($1, $2, $3, $4, $5, COALESCE($6, CURRENT_DATE), $7, $8, $9, $10, $11, $12) RETURNING *`,
+    [
+      mid,
+      movement.itemType,
+      movement.itemId,
+      movement.movementType,
+      movement.quantity,
+      movement.date || null,
+      movement.supplier || null,
+      movement.note || null,
+      movement.sourceType || null,
+      movement.sourceId ?? null,
+      movement.unitCost ?? null,
+      batchId ?? null,
+    ]
+  );
+  return result.rows[0];
+}
+
+// One sale movement per bill line that is linked to a product
+function billSaleMovements(lines, billDate) {
+  return lines
+    .filter((line) => line.productId !== null && line.quantity !== 0)
+    .map((line) => ({
+      itemType: "product",
+      itemId: line.productId,
+      movementType: "sale",
+      quantity: -line.quantity,
+      date: billDate,
+    }));
+}
+
+// Output (and any wastage) of a production record, linked to products by id or name
+function productionMovements(record, products, date) {
+  const movements = [];
+  billItems(record).forEach((item, index) => {
+    const product = products.byId.get(Number(item.productId)) || products.byName.get(item.name);
+    if (!product) {
+      return;
+    }
+    const field = `items[${index}].unit`;
+    const produced = convertQuantity(toQuantity(item.quantity ?? item.qty ?? item.produced), item.unit, product.metrics, field);
+    const wasted = convertQuantity(toQuantity(item.wastage ?? item.wasted), item.unit, product.metrics, field);
+    if (produced !== 0) {
+      const batch = lineBatch(item, `items[${index}].`);
+      movements.push({
+        itemType: "product",
+        itemId: product.id,
+        movementType: "production",
+        quantity: produced,
+        date,
+        ...(batch && { batch }),
+      });
+    }
+    if (wasted !== 0) {
+      movements.push({ itemType: "product", itemId: product.id, movementType: "wastage", quantity: -Math.abs(wasted), date });
+    }
+  });
+  return movements;
+}
+
+// Receipts and wastage are entered as positive amounts; adjustments keep their sign.
+// itemUnit is the unit the item is stocked in; a receipt's unit cost follows the quantity.
+function manualMovement(entry, itemUnit) {
+  const sent = toQuantity(entry.quantity);
+  const quantity = convertQuantity(sent, entry.unit, itemUnit);
+  const signed = entry.type === "wastage" ? -Math.abs(quantity) : entry.type === "receipt" ? Math.abs(quantity) : quantity;
+  return {
+    itemType: entry.itemType,
+    itemId: entry.itemId,
+    movementType: entry.type,
+    quantity: signed,
+    date: entry.date,
+    supplier: entry.supplier,
+    note: entry.note,
+    unitCost: entry.type === "receipt" && entry.unitCost !== undefined && quantity !== 0
+      ? (Number(entry.unitCost) * sent) / quantity
+      : undefined,
+    batch: lineBatch(entry) || undefined,
+  };
+}
+
+// An inventory snapshot's counts as the adjustments that bring each counted item to its
+// counted quantity on the snapshot date. Rows name a product (productId or name) or else a
+// supply item (supplyId or name) with quantity | qty | stock | closing | count and an
+// optional unit; rows for the same item add up. The snapshot's own earlier adjustments
+// are left out of the on-hand it is compared with.
+async function countMovements(db, mid, snapshotId, rows, date) {
+  const products = await db.query("SELECT id, name, metrics AS unit FROM products WHERE mid = $1 AND deleted_at IS NULL", [mid]);
+  const supply = await db.query("SELECT id, name, unit FROM supply WHERE mid = $1 AND deleted_at IS NULL", [mid]);
+  const counts = new Map();
+  rows.forEach((row, index) => {
+    if (!row || typeof row !== "object") {
+      return;
+    }
+    const name = row.name ?? row.item ?? row.productName;
+    const sent = row.quantity ?? row.qty ?? row.stock ?? row.closing ?? row.count;
+    const product = products.rows.find((candidate) => candidate.id === Number(row.productId) || candidate.name === name);
+    const supplyItem = !product && supply.rows.find((candidate) => candidate.id === Number(row.supplyId) || candidate.name === name);
+    const item = product ? { itemType: "product", ...product } : supplyItem ? { itemType: "supply", ...supplyItem } : null;
+    if (!item || sent === undefined || sent === null || sent === "") {
+      return;
+    }
+    const key = `${item.itemType}:${item.id}`;
+    const quantity = convertQuantity(toQuantity(sent), row.unit, item.unit, `rows[${index}].unit`);
+    counts.set(key, { item, quantity: (counts.get(key)?.quantity || 0) + quantity });
+  });
+
+  const movements = [];
+  for (const { item, quantity } of counts.values()) {
+    const onHand = await db.query(
+      `SELECT COALESCE(SUM(quantity), 0) AS on_hand FROM stock_movements
+      WHERE mid = $1 AND item_type = $2 AND item_id = $3 AND movement_date <= $4
+        AND (source_type IS DISTINCT FROM 'inventory' OR source_id IS DISTINCT FROM $5)`,
+      [mid, item.itemType, item.id, date, snapshotId]
+    );
+    const difference = quantity - Number(onHand.rows[0].on_hand);
+    if (difference !== 0) {
+      movements.push({ itemType: item.itemType, itemId: item.id, movementType: "adjustment", quantity: difference, date, note: "Stock count" });
+    }
+  }
+  return movements;
+}
+
+// Current (or ?asOf) on-hand quantity for every live product and supply item
+async function stockOnHand(db, mid, { itemType, asOf } = {}) {
+  const params = [mid, asOf || null];
+  const onHand = (table, type, unit) => `
+    SELECT '${type}' AS item_type, t.id AS item_id, t.name, ${unit} AS unit,
+      COALESCE(SUM(m.quantity), 0) AS on_hand, MAX(m.movement_date) AS last_movement_date
+    FROM ${table} t
+    LEFT JOIN stock_movements m ON m.mid = t.mid AND m.item_type = '${type}' AND m.item_id = t.id
+      AND ($2::date IS NULL OR m.movement_date <= $2)
+    WHERE t.mid = $1 AND t.deleted_at IS NULL
+    GROUP BY t.id, t.mid`;
+
+  const parts = [];
+  if (!itemType || itemType === "product") {
+    parts.push(onHand("products", "product", "t.metrics"));
+  }
+  if (!itemType || itemType === "supply") {
+    parts.push(onHand("supply", "supply", "t.unit"));
+  }
+  const result = await db.query(`${parts.join(" UNION ALL ")} ORDER BY item_type, name`, params);
+  return result.rows;
+}
+
+module.exports = {
+  MOVEMENT_TYPES,
+  MANUAL_MOVEMENT_TYPES,
+  ITEM_TYPES,
+  replaceSourceMovements,
+  insertMovement,
+  billSaleMovements,
+  productionMovements,
+  manualMovement,
+  countMovements,
+  stockOnHand,
+};
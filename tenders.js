@@ -0,0 +1,88 @@
+// Payment tenders. A bill may be paid in several tenders (cash, upi, card, credit, other),
+// sent as tenders: [{ tender | mode, amount, reference }] adding up to the bill total;
+// without them the whole total is one tender in the bill's payment mode (cash when it
+// has none). Tenders are kept in bill_tenders; the credit part of a bill goes on the
+// customer's ledger (see ledger.js) and the rest is counted at shift close (see
+// shifts.js).
+const { ValidationError } = require("./validation");
+
+const TENDERS = ["cash", "upi", "card", "credit", "other"];
+
+// Tenders a cashier counts or settles at close; credit is collected later
+const COUNTED_TENDERS = ["cash", "upi", "card", "other"];
+
+const UPI_APPS = /(upi|gpay|google pay|phonepe|paytm|bhim)/;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// The tender for a payment mode as devices name it, e.g. "PhonePe" -> "upi"
+function normaliseTender(mode) {
+  if (typeof mode !== "string" || mode.trim() === "") {
+    return "cash";
+  }
+  const key = mode.trim().toLowerCase();
+  if (TENDERS.includes(key)) {
+    return key;
+  }
+  if (UPI_APPS.test(key)) {
+    return "upi";
+  }
+  if (key.includes("card")) {
+    return "card";
+  }
+  return key.includes("cash") ? "cash" : "other";
+}
+
+// A bill's tenders; sent tenders must add up to the bill total
+function billTenders(bill, header) {
+  if (!Array.isArray(bill.tenders) || bill.tenders.length === 0) {
+    return [{ lineNo: 1, tender: normaliseTender(header.paymentMode), amount: header.total, reference: null }];
+  }
+  const tenders = bill.tenders.map((item, index) => ({
+    lineNo: index + 1,
+    tender: normaliseTender(item.tender ?? item.mode),
+    amount: round2(Number(item.amount)),
+    reference: item.reference === undefined ? null : String(item.reference),
+  }));
+  const paid = round2(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+  if (Math.abs(paid - header.total) >= 0.01) {
+    throw new ValidationError([{ field: "tenders", message: `add up to ${paid}, not the bill total of ${header.total}` }]);
+  }
+  return tenders;
+}
+
+// The payment mode recorded for tenders: the single tender's, or "split"
+function tendersPaymentMode(tenders) {
+  const modes = new Set(tenders.map((tender) => tender.tender));
+  return modes.size === 1 ? tenders[0].tender : "split";
+}
+
+function creditAmount(tenders) {
+  return round2(tenders.filter((tender) => tender.tender === "credit").reduce((sum, tender) => sum + tender.amount, 0));
+}
+
+async function replaceBillTenders(db, billId, mid, tenders) {
+  await db.query("DELETE FROM bill_tenders WHERE bill_id = $1 AND mid = $2", [billId, mid]);
+  const saved = [];
+  for (const tender of tenders) {
+    const result = await db.query(
+      `INSERT INTO bill_tenders (bill_id, mid, line_no, tender, amount, reference)
+      VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [billId, mid, tender.lineNo, tender.tender, tender.amount, tender.reference]
+    );
+    saved.push(result.rows[0]);
+  }
+  return saved;
+}
+
+module.exports = {
+  TENDERS,
+  COUNTED_TENDERS,
+  normaliseTender,
+  billTenders,
+  tendersPaymentMode,
+  creditAmount,
+  replaceBillTenders,
+};
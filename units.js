@@ -0,0 +1,76 @@
+// Units of measure. Quantities are kept in the unit of the item they belong to (a
+// product's metrics, a supply item's unit); anything sent in another unit is converted
+// on the way in. Units convert only within one dimension, through its base unit:
+// grams for mass, millilitres for volume, pieces for counts. "unit", the old default
+// for products.metrics, counts as one piece. Unit strings the server does not know are
+// kept as they are and only ever match themselves.
+const { ValidationError } = require("./validation");
+
+const UNITS = {
+  kg: { name: "Kilogram", dimension: "mass", factor: 1000 },
+  g: { name: "Gram", dimension: "mass", factor: 1 },
+  l: { name: "Litre", dimension: "volume", factor: 1000 },
+  ml: { name: "Millilitre", dimension: "volume", factor: 1 },
+  pcs: { name: "Piece", dimension: "count", factor: 1 },
+  dozen: { name: "Dozen", dimension: "count", factor: 12 },
+  unit: { name: "Unit", dimension: "count", factor: 1 },
+};
+
+const ALIASES = {
+  kgs: "kg",
+  kilo: "kg",
+  kilogram: "kg",
+  kilograms: "kg",
+  gm: "g",
+  gms: "g",
+  gram: "g",
+  grams: "g",
+  ltr: "l",
+  litre: "l",
+  litres: "l",
+  liter: "l",
+  liters: "l",
+  millilitre: "ml",
+  milliliter: "ml",
+  pc: "pcs",
+  piece: "pcs",
+  pieces: "pcs",
+  nos: "pcs",
+  units: "unit",
+  doz: "dozen",
+  dz: "dozen",
+};
+
+// The unit code for a unit string, e.g. "Kgs" -> "kg"; unknown units come back trimmed
+function normaliseUnit(unit) {
+  if (typeof unit !== "string" || unit.trim() === "") {
+    return null;
+  }
+  const key = unit.trim().toLowerCase();
+  return UNITS[key] ? key : ALIASES[key] || unit.trim();
+}
+
+function canConvert(from, to) {
+  const source = normaliseUnit(from);
+  const target = normaliseUnit(to);
+  if (!source || !target || source === target) {
+    return true;
+  }
+  return Boolean(UNITS[source] && UNITS[target] && UNITS[source].dimension === UNITS[target].dimension);
+}
+
+// quantity in unit `from`, expressed in unit `to`. A missing unit on either side means
+// "the item's own unit", so nothing is converted.
+function convertQuantity(quantity, from, to, field = "unit") {
+  const source = normaliseUnit(from);
+  const target = normaliseUnit(to);
+  if (!source || !target || source === target) {
+    return quantity;
+  }
+  if (!canConvert(source, target)) {
+    throw new ValidationError([{ field, message: `cannot convert ${source} to ${target}` }]);
+  }
+  return (quantity * UNITS[source].factor) / UNITS[target].factor;
+}
+
+module.exports = { UNITS, normaliseUnit, canConvert, convertQuantity };
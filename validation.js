@@ -0,0 +1,465 @@
+// Declared payload schemas for the /sync write endpoints. A schema maps field names to
+// rules: { type, required, min, max, values (allowed values), pattern (with patternMessage),
+// fields (for objects), items (for arrays) }.
+// validate() returns a list of { field, message } problems, empty when the value is valid.
+// Fields not named in a schema are left alone.
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_PREFIX = /^(\d{4}-\d{2}-\d{2})/;
+
+// A YYYY-MM-DD string naming a day on the calendar; 2026-13-45 has the shape but is not
+function isCalendarDate(value) {
+  if (typeof value !== "string" || !ISO_DATE.test(value)) {
+    return false;
+  }
+  const [year, month, day] = value.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  integer: (value) => Number.isInteger(value),
+  // Amounts arrive as numbers or numeric strings; both are fine for NUMERIC columns
+  number: (value) =>
+    (typeof value === "number" && Number.isFinite(value)) ||
+    (typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value))),
+  boolean: (value) => typeof value === "boolean",
+  date: isCalendarDate,
+  // Free-form date and time as the apps send it; only a leading YYYY-MM-DD is read
+  datePrefixed: (value) =>
+    typeof value === "string" && (!DATE_PREFIX.test(value) || isCalendarDate(DATE_PREFIX.exec(value)[1])),
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === "object" && !Array.isArray(value),
+};
+
+const TYPE_MESSAGES = {
+  string: "must be a string",
+  integer: "must be an integer",
+  number: "must be a number",
+  boolean: "must be true or false",
+  date: "must be a date in YYYY-MM-DD format",
+  datePrefixed: "must be a string, starting with a real date when it starts with YYYY-MM-DD",
+  array: "must be an array",
+  object: "must be an object",
+};
+
+// Fields every synced entity accepts
+const SYNC_FIELDS = {
+  id: { type: "integer", min: 1 },
+  version: { type: "integer", min: 1 },
+  restore: { type: "boolean" },
+};
+
+const AMOUNT = { type: "number", min: 0 };
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Invoice number prefixes keep numbers within GST's 16 characters (see numbering.js)
+const INVOICE_PREFIX = {
+  type: "string",
+  pattern: /^[A-Za-z0-9/-]{1,6}$/,
+  patternMessage: "must be 1 to 6 letters, digits, / or -",
+};
+
+const HSN_CODE = { type: "string", pattern: /^\d{4,8}$/, patternMessage: "must be a 4 to 8 digit HSN code" };
+
+const GSTIN = {
+  type: "string",
+  pattern: /^\d{2}[A-Z0-9]{13}$/i,
+  patternMessage: "must be a 15 character GSTIN",
+};
+
+// A supply item and quantity, in BOM recipes and production materials
+const MATERIAL_LINE = {
+  supplyId: { type: "integer" },
+  name: { type: "string" },
+  quantity: { type: "number", min: 0 },
+  qty: { type: "number", min: 0 },
+  unit: { type: "string" },
+};
+
+// Lot details on stock coming in (see batches.js)
+const BATCH_FIELDS = {
+  batchNumber: { type: ["string", "integer"] },
+  manufactureDate: { type: "date" },
+  expiryDate: { type: "date" },
+};
+
+// A supply item line on a purchase order or goods receipt
+const PURCHASE_LINE = {
+  supplyId: { type: "integer" },
+  name: { type: "string" },
+  quantity: { type: "number", min: 0 },
+  qty: { type: "number", min: 0 },
+  unit: { type: "string" },
+  price: AMOUNT,
+  unitPrice: AMOUNT,
+  rate: AMOUNT,
+};
+
+const SCHEMAS = {
+  bill: {
+    ...SYNC_FIELDS,
+    billNumber: { type: ["string", "integer"] },
+    invoiceNumber: { type: "string" },
+    invoicePrefix: INVOICE_PREFIX,
+    date: { type: "datePrefixed" },
+    discount: AMOUNT,
+    gstInclusive: { type: "boolean" },
+    paymentMode: { type: "string" },
+    tenders: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          tender: { type: "string" },
+          mode: { type: "string" },
+          amount: { ...AMOUNT, required: true },
+          reference: { type: ["string", "integer"] },
+        },
+      },
+    },
+    shiftId: { type: "integer", min: 1 },
+    customerId: { type: "integer", min: 1 },
+    applyPromotions: { type: "boolean" },
+    couponCode: { type: "string" },
+    customerGstin: GSTIN,
+    placeOfSupply: { type: "string" },
+    items: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          productId: { type: "integer" },
+          name: { type: "string" },
+          quantity: { type: "number", min: 0 },
+          qty: { type: "number", min: 0 },
+          price: AMOUNT,
+          rate: AMOUNT,
+          discount: AMOUNT,
+          gst: { type: "number", min: 0, max: 100 },
+          hsn: HSN_CODE,
+          unit: { type: "string" },
+        },
+      },
+    },
+  },
+  inventory: {
+    ...SYNC_FIELDS,
+    merchantName: { type: "string", required: true },
+    date: { type: "date", required: true },
+    rows: { type: "array", required: true },
+  },
+  product: {
+    ...SYNC_FIELDS,
+    name: { type: "string", required: true },
+    mrp: AMOUNT,
+    wsp: AMOUNT,
+    sp: AMOUNT,
+    discount: AMOUNT,
+    gst: { type: "number", min: 0, max: 100 },
+    hsn: HSN_CODE,
+    metrics: { type: "string" },
+    parentId: { type: "integer", min: 1 },
+    variantName: { type: "string" },
+    date: { type: "string" },
+  },
+  supply: {
+    ...SYNC_FIELDS,
+    name: { type: "string", required: true },
+    unit: { type: "string" },
+    reorderLevel: { type: "number", min: 0 },
+    reorderQuantity: { type: "number", min: 0 },
+    vendor: { type: "string" },
+  },
+  merchant: {
+    ...SYNC_FIELDS,
+    name: { type: "string", required: true },
+    priceListId: { type: "integer", min: 1 },
+    gstin: GSTIN,
+    phone: { type: "string" },
+    email: { type: "string" },
+    address: { type: "string" },
+    state: { type: "string" },
+    creditLimit: AMOUNT,
+  },
+  production: {
+    ...SYNC_FIELDS,
+    date: { type: "date", required: true },
+    items: { type: "array", items: { type: "object", fields: BATCH_FIELDS } },
+    materials: { type: "array", items: { type: "object", fields: MATERIAL_LINE } },
+  },
+  bom: {
+    ...SYNC_FIELDS,
+    name: { type: "string", required: true },
+    date: { type: "date", required: true },
+    productId: { type: "integer", min: 1 },
+    yield: { type: "number", min: 0 },
+    data: { type: "array", required: true, items: { type: "object", fields: MATERIAL_LINE } },
+  },
+  stockMovement: {
+    type: { type: "string", required: true, values: ["receipt", "wastage", "adjustment"] },
+    itemType: { type: "string", required: true, values: ["product", "supply"] },
+    itemId: { type: "integer", required: true, min: 1 },
+    quantity: { type: "number", required: true },
+    unit: { type: "string" },
+    date: { type: "date" },
+    supplier: { type: "string" },
+    unitCost: AMOUNT,
+    note: { type: "string" },
+    ...BATCH_FIELDS,
+  },
+  purchaseOrder: {
+    ...SYNC_FIELDS,
+    vendor: { type: "string", required: true },
+    poNumber: { type: ["string", "integer"] },
+    date: { type: "date" },
+    expectedDate: { type: "date" },
+    status: { type: "string", values: ["open", "cancelled", "closed"] },
+    note: { type: "string" },
+    items: { type: "array", required: true, items: { type: "object", fields: PURCHASE_LINE } },
+  },
+  goodsReceipt: {
+    ...SYNC_FIELDS,
+    poId: { type: "integer", min: 1 },
+    vendor: { type: "string" },
+    grnNumber: { type: ["string", "integer"] },
+    date: { type: "date" },
+    note: { type: "string" },
+    items: { type: "array", required: true, items: { type: "object", fields: { ...PURCHASE_LINE, ...BATCH_FIELDS } } },
+  },
+  priceList: {
+    name: { type: "string", required: true },
+    basePrice: { type: "string", values: ["mrp", "wsp", "sp"] },
+    isDefault: { type: "boolean" },
+    note: { type: "string" },
+    items: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          productId: { type: "integer" },
+          name: { type: "string" },
+          price: { ...AMOUNT, required: true },
+          effectiveFrom: { type: "date" },
+        },
+      },
+    },
+  },
+  payment: {
+    ...SYNC_FIELDS,
+    customerId: { type: "integer", min: 1 },
+    customer: { type: "string" },
+    amount: { type: "number", required: true, min: 0.01 },
+    date: { type: "date" },
+    mode: { type: "string" },
+    reference: { type: ["string", "integer"] },
+    note: { type: "string" },
+  },
+  billReturn: {
+    ...SYNC_FIELDS,
+    billId: { type: "integer", required: true, min: 1 },
+    date: { type: "date" },
+    reason: { type: "string" },
+    restock: { type: "boolean" },
+    refundMode: { type: "string" },
+    items: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          lineNo: { type: "integer", required: true, min: 1 },
+          quantity: { type: "number", required: true, min: 0 },
+        },
+      },
+    },
+  },
+  invoiceBlock: {
+    documentType: { type: "string", values: ["invoice", "credit_note"] },
+    prefix: INVOICE_PREFIX,
+    count: { type: "integer", required: true, min: 1, max: 500 },
+    date: { type: "date" },
+  },
+  shiftOpen: {
+    openingFloat: AMOUNT,
+    date: { type: "date" },
+    openedBy: { type: "string" },
+    note: { type: "string" },
+  },
+  shiftClose: {
+    counted: {
+      type: "object",
+      required: true,
+      fields: {
+        cash: { ...AMOUNT, required: true },
+        upi: AMOUNT,
+        card: AMOUNT,
+        other: AMOUNT,
+      },
+    },
+    closedBy: { type: "string" },
+    note: { type: "string" },
+  },
+  discrepancyReview: {
+    reviewedBy: { type: "string" },
+    note: { type: "string" },
+  },
+  invoiceLayout: {
+    headerText: { type: "string" },
+    footerText: { type: "string" },
+    gstin: GSTIN,
+    // A base64 PNG; null removes the logo
+    logo: { type: "string", pattern: /^[A-Za-z0-9+/=\s]+$/, patternMessage: "must be a base64 PNG image" },
+  },
+  promotion: {
+    ...SYNC_FIELDS,
+    name: { type: "string", required: true },
+    type: { type: "string", required: true, values: ["percent", "flat", "buy_x_get_y", "combo", "coupon"] },
+    productIds: { type: "array", items: { type: "integer" } },
+    percent: { type: "number", min: 0, max: 100 },
+    amount: AMOUNT,
+    buyQuantity: { type: "number", min: 1 },
+    getQuantity: { type: "number", min: 1 },
+    getProductId: { type: "integer" },
+    items: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          productId: { type: "integer", required: true },
+          quantity: { type: "number", required: true, min: 1 },
+        },
+      },
+    },
+    price: AMOUNT,
+    code: { type: "string" },
+    minimumTotal: AMOUNT,
+    maximumDiscount: AMOUNT,
+    usageLimit: { type: "integer", min: 1 },
+    validFrom: { type: "date" },
+    validTo: { type: "date" },
+    timeFrom: { type: "string", pattern: TIME_OF_DAY, patternMessage: "must be a time in HH:MM format" },
+    timeTo: { type: "string", pattern: TIME_OF_DAY, patternMessage: "must be a time in HH:MM format" },
+    days: { type: "array", items: { type: "integer", min: 0, max: 6 } },
+    active: { type: "boolean" },
+    priority: { type: "integer" },
+  },
+  registration: {
+    hostName: { type: "string", required: true },
+    merchantName: { type: "string" },
+    registeredDate: { type: "string" },
+    phoneNumber: { type: "string" },
+    email: { type: "string" },
+    editPassword: { type: "string" },
+    location: {
+      type: "object",
+      fields: {
+        address: { type: "string" },
+        city: { type: "string" },
+        state: { type: "string" },
+        country: { type: "string" },
+        zipCode: { type: "string" },
+      },
+    },
+    registered: { type: "boolean" },
+    gstEnabled: { type: "boolean" },
+    enableMrpPrice: { type: "boolean" },
+    enableWspPrice: { type: "boolean" },
+    enableSpPrice: { type: "boolean" },
+    enableBillMenu: { type: "boolean" },
+    enableInventoryMenu: { type: "boolean" },
+    enableBomMenu: { type: "boolean" },
+    enableReportsMenu: { type: "boolean" },
+    enableRenewalMenu: { type: "boolean" },
+  },
+};
+
+function checkValue(rule, value, field, problems) {
+  if (value === undefined || value === null) {
+    if (rule.required) {
+      problems.push({ field, message: "is required" });
+    }
+    return;
+  }
+
+  const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+  if (!types.some((type) => TYPE_CHECKS[type](value))) {
+    problems.push({ field, message: types.map((type) => TYPE_MESSAGES[type]).join(" or ") });
+    return;
+  }
+
+  if (rule.required && typeof value === "string" && value.trim() === "") {
+    problems.push({ field, message: "must not be empty" });
+  }
+  if (rule.min !== undefined && Number(value) < rule.min) {
+    problems.push({ field, message: `must be at least ${rule.min}` });
+  }
+  if (rule.max !== undefined && Number(value) > rule.max) {
+    problems.push({ field, message: `must be at most ${rule.max}` });
+  }
+  if (rule.values && !rule.values.includes(value)) {
+    problems.push({ field, message: `must be one of ${rule.values.join(", ")}` });
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    problems.push({ field, message: rule.patternMessage });
+  }
+  if (rule.fields) {
+    checkFields(rule.fields, value, `${field}.`, problems);
+  }
+  if (rule.items) {
+    value.forEach((item, index) => checkValue(rule.items, item, `${field}[${index}]`, problems));
+  }
+}
+
+function checkFields(fields, value, prefix, problems) {
+  for (const [name, rule] of Object.entries(fields)) {
+    checkValue(rule, value[name], prefix + name, problems);
+  }
+}
+
+// Validate a payload against a named schema
+function validate(schemaName, value) {
+  const problems = [];
+  if (!TYPE_CHECKS.object(value)) {
+    problems.push({ field: "data", message: TYPE_MESSAGES.object });
+    return problems;
+  }
+  checkFields(SCHEMAS[schemaName], value, "", problems);
+  return problems;
+}
+
+// Raised for an invalid item inside a batch; carries the field-level problems
+class ValidationError extends Error {
+  constructor(problems) {
+    super("Validation failed");
+    this.details = problems;
+  }
+}
+
+function assertValid(schemaName, value) {
+  const problems = validate(schemaName, value);
+  if (problems.length > 0) {
+    throw new ValidationError(problems);
+  }
+}
+
+// Payloads arrive as { data } where data is a JSON string or an already parsed value
+function parseData(data) {
+  if (typeof data !== "string") {
+    return data;
+  }
+  try {
+    return JSON.parse(data);
+  } catch (err) {
+    return data;
+  }
+}
+
+// Batch payloads: an array, or a single item treated as a batch of one
+function parseDataArray(data) {
+  const parsed = parseData(data);
+  return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+module.exports = { SCHEMAS, isCalendarDate, validate, assertValid, ValidationError, parseData, parseDataArray };